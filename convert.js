@@ -3,18 +3,117 @@ hazicy 的 Substore 订阅转换脚本
 https://github.com/hazicy/override-rules
 
 支持的传入参数：
-- loadbalance: 启用负载均衡（url-test/load-balance，默认 false）
+- loadbalance: 启用负载均衡（地区分组使用 load-balance 代替 url-test，默认 false）
 - landing: 启用落地节点功能（如机场家宽/星链/落地分组，默认 false）
 - ipv6: 启用 IPv6 支持（默认 false）
 - full: 输出完整配置（适合纯内核启动，默认 false）
 - keepalive: 启用 tcp-keep-alive（默认 false）
-- fakeip: DNS 使用 FakeIP 模式（默认 false，false 为 RedirHost）
+- fakeip: DNS 使用 FakeIP 模式（false 为 RedirHost，默认 false）
 - quic: 允许 QUIC 流量（UDP 443，默认 false）
-- threshold: 国家节点数量小于该值时不显示分组 (默认 0)
+- threshold: 国家节点数量小于该值时不显示分组（默认 0）
+- prepend_rules: 插入到所有内置规则之前的自定义规则，多条用 ; 分隔
+- append_rules: 插入到 MATCH 之前的自定义规则，多条用 ; 分隔
+- rule_urls: 自定义规则列表（classical 格式）的链接，多个用 ; 分隔，可写作 链接>策略组（默认 选择代理）
+- rule_providers: 额外的 rule-providers 定义（JSON），规则中可通过 RULE-SET 引用
+- services: 仅启用指定的服务分组，多个服务 id 用 , 分隔（默认 全部启用）
+- exclude_services: 禁用指定的服务分组，多个服务 id 用 , 分隔
+- prefer_regions: 覆盖服务偏好的地区，格式为 服务id:地区|地区，多个服务用 ; 分隔，如 ai:美国|日本;netflix:新加坡
+- regions: 自定义或覆盖地区定义（JSON），如 {"迪拜":{"pattern":"迪拜|Dubai"},"香港":{"aliases":"HKG|沪港"}}
+- aggregates: 启用地区聚合分组，可选 asia/europe/americas/oceania/africa/streaming，多个用 , 分隔，all 为全部（默认 不启用）
+- aggregate_type: 地区聚合分组的类型，可选 url-test/fallback（默认 url-test）
+- test_url: 健康检查地址（默认 https://cp.cloudflare.com/generate_204）
+- interval: url-test/load-balance 分组的检查间隔，单位秒（默认 60）
+- fallback_interval: 故障转移分组的检查间隔，单位秒（默认 180）
+- tolerance: url-test 分组的切换容差，单位毫秒（默认 20）
+- timeout: 健康检查超时，单位毫秒（默认 使用内核设置）
+- lazy: 未被使用的分组不进行健康检查（默认 false）
+- expected_status: 健康检查期望的状态码，如 204、200/302、200-299（默认 使用内核设置）
+- lb_strategy: 负载均衡策略，仅在 loadbalance=true 时生效，可选 consistent-hashing/round-robin/sticky-sessions（默认 consistent-hashing）
+- landing_keywords: 识别落地节点的关键词（正则写法，用 | 分隔，默认 家宽|家庭|家庭宽带|商宽|商业宽带|星链|Starlink|落地）
+- lowcost_keywords: 识别低倍率节点的关键词（默认 0\.[0-5]|低倍率|省流|大流量|实验性）
+- dedicated_keywords: 识别专线节点的关键词，存在匹配节点时生成「专线节点」分组（默认 IPLC|IEPL|专线）
+- gaming_keywords: 识别游戏节点的关键词，存在匹配节点时生成「游戏节点」分组（默认 游戏|Game）
+- landing_dialer: 为落地节点指定前置分组，格式为 关键词:分组，多条用 ; 分隔，如 香港:香港节点（默认 均使用 前置代理）
+- node_blacklist: 剔除名称匹配该正则的节点，自定义正则替换内置关键词，以 + 开头时追加到内置关键词之后，false 为不剔除（默认 内置的 剩余流量|到期时间|官网 等信息节点关键词）
+- dedupe: 去除除名称外完全相同（含 SNI、path、UUID 等传输与认证参数）的重复节点（默认 false）
+- rename: 按识别出的地区将节点重命名为「🇭🇰 香港 01」的格式（默认 false）
+- sources: 合并多个订阅时的来源名称，用 ; 分隔，按节点名称前缀识别；auto 为使用 Sub-Store 组合订阅的来源信息（默认 不启用）
+- source_countries: 按来源再生成「来源 地区节点」分组（默认 false）
+- prefer_source: 选择代理与故障转移优先使用的来源
+- subscriptions: 订阅链接，多个用 ; 分隔，可写作 链接>名称；传入后输出 proxy-providers，分组通过 use 引用订阅（默认 不启用）
+- provider_regions: proxy-providers 模式下生成的地区分组，用 ; 分隔（默认 常用地区及自定义地区）
+- provider_interval: proxy-providers 模式下订阅的更新间隔，单位秒（默认 86400）
+- dns_profile: DNS 方案，可选 default/cn-first/overseas/corporate（默认 default）
+- dns_default: 覆盖 default-nameserver，多个用 ; 分隔
+- dns_nameserver: 覆盖 nameserver，多个用 ; 分隔
+- dns_fallback: 覆盖 fallback，多个用 ; 分隔
+- dns_proxy_server: 覆盖 proxy-server-nameserver，多个用 ; 分隔
+- dns_internal_domains: 交给内部 DNS 解析的内网域名，多个用 ; 分隔，如 +.corp.example.com
+- dns_internal_server: 内部 DNS 服务器，多个用 ; 分隔，如 10.0.0.53
+- dns_policy: 额外的 nameserver-policy 条目（JSON）
+- fakeip_filter: 追加到 fake-ip-filter 的条目，多个用 ; 分隔，如 +.example.com;geosite:apple
+- fakeip_filter_mode: fake-ip-filter 的模式，blacklist 为条目返回真实 IP，whitelist 为仅条目使用 fake-ip，可选 blacklist/whitelist（默认 blacklist）
+- fakeip_range: fake-ip 的 IPv4 地址段（默认 198.18.0.1/16）
+- fakeip_range6: fake-ip 的 IPv6 地址段，仅在 ipv6=true 时生效（默认 fdfe:dcba:9876::1/64）
+- tun: 输出 TUN 配置，仅在 full=true 时生效（默认 false）
+- tun_stack: TUN 协议栈，可选 system/gvisor/mixed（默认 mixed）
+- tun_auto_route: 自动设置路由（默认 true）
+- tun_auto_redirect: 自动配置 nftables/iptables 重定向 TCP 流量，仅 Linux 可用（默认 false）
+- tun_strict_route: 严格路由，防止地址泄露（默认 false）
+- tun_dns_hijack: 劫持的 DNS 地址，多个用 ; 分隔（默认 any:53;tcp://any:53）
+- tun_route_exclude: 不经过 TUN 的地址段，多个用 ; 分隔，如 192.168.0.0/16
+- tun_mtu: TUN 网卡的 MTU（默认 9000）
+- mixed_port: 混合端口（HTTP 与 SOCKS5，默认 7890）
+- socks_port: SOCKS5 端口（默认 不启用）
+- redir_port: 透明代理端口（redirect，默认 7892）
+- tproxy_port: 透明代理端口（tproxy，默认 7893）
+- routing_mark: 出站流量的 routing-mark（默认 7894）
+- allow_lan: 允许局域网连接（默认 true）
+- bind_address: 允许局域网连接时监听的地址（默认 *）
+- lan_allowed_ips: 允许连接的来源地址段，多个用 ; 分隔（默认 仅私有地址）
+- authentication: 入站认证用户，格式为 用户名:密码，多个用 ; 分隔（本机访问免认证）
+- controller: 控制面板（external-controller）监听地址，:9999 可恢复旧版本默认的局域网访问（需同时设置 secret，默认 未设置 secret 时为 127.0.0.1:9999，否则为 :9999）
+- secret: 控制面板密钥，auto 为自动生成；监听非本机地址且未设置时自动生成
+- external_ui: 本地面板目录，true 表示 ui（默认 不启用）
+- external_ui_url: 本地面板的下载地址（默认 metacubexd）
+- log_level: 日志等级，可选 silent/error/warning/info/debug（默认 info）
+- find_process_mode: 进程匹配模式，可选 always/strict/off（默认 off）
+- sniff_tls_ports: TLS 嗅探的端口，多个用 ; 分隔，支持 8000-9000 范围写法（默认 443;8443）
+- sniff_http_ports: HTTP 嗅探的端口，写法同上（默认 80;8080;8880）
+- sniff_quic_ports: QUIC 嗅探的端口，写法同上；quic=false 时不嗅探 QUIC（默认 443;8443）
+- sniff_override_destination: 使用嗅探到的域名覆盖连接目标（默认 false）
+- sniff_force_domain: 强制嗅探的域名，多个用 ; 分隔
+- sniff_skip_domain: 追加跳过嗅探的域名，多个用 ; 分隔
+- sniff_skip_src_address: 跳过嗅探的来源地址段，多个用 ; 分隔
+- sniff_skip_dst_address: 跳过嗅探的目标地址段，多个用 ; 分隔
+- mirror: 规则集与 GeoData 的镜像地址，作为前缀加在原地址前（如 https://ghfast.top/）；包含 {file} 或 {url} 时作为模板
+- rule_interval: 规则集的更新间隔，单位秒（默认 86400）
+- rule_proxy: 下载规则集时使用的代理组，true 表示 选择代理（默认 直连）
+- geo_interval: GeoData 自动更新间隔，单位小时（默认 不自动更新）
 */
 
 const NODE_SUFFIX = '节点';
 
+// 默认将提示输出到 Substore 日志
+function logWarning(message) {
+  console.log(`[convert] ${message}`);
+}
+
+/**
+ * 创建提示收集器：warn 将提示追加到 warnings 并交给 logger 输出，logger 为 null 时只收集不输出。
+ * 每个转换器各自持有收集器，提示不会混入其他转换器。
+ */
+function createReporter(logger = logWarning) {
+  const warnings = [];
+  return {
+    warnings,
+    warn(message) {
+      warnings.push(message);
+      if (logger) logger(message);
+    },
+  };
+}
+
 function parseBool(value) {
   if (typeof value === 'boolean') return value;
   if (typeof value === 'string') {
@@ -31,48 +130,719 @@ function parseNumber(value, defaultValue = 0) {
   return isNaN(num) ? defaultValue : num;
 }
 
+/**
+ * 参数定义：convert.js、yaml_generator 与文档共用同一份定义，
+ * 文件开头的参数说明与 README 中的参数表由 `npm run docs` 根据此定义生成。
+ * - name: 外部参数名；aliases: 兼容的其他写法（大小写与 - 也会被兼容）
+ * - type: boolean/number/string/list/json/enum，enum 的可选值见 values
+ * - default: 默认值；defaultText: 无法用单个值表示的默认行为；key: 功能开关的内部变量名
+ * - description: 说明；see: README 中对应的章节；note: README 中追加的脚注
+ * - generate: 预生成 YAML 时的取值（values）及文件名中的简称（short）；
+ *   其余参数组合通过 yaml_generator/presets.json 中的命名预设生成
+ */
+const ARGUMENT_SCHEMA = [
+  {
+    name: 'loadbalance',
+    key: 'loadBalance',
+    type: 'boolean',
+    default: false,
+    aliases: ['load_balance'],
+    description: '启用负载均衡（地区分组使用 load-balance 代替 url-test）',
+    generate: { short: 'lb', values: [false, true] },
+  },
+  {
+    name: 'landing',
+    key: 'landing',
+    type: 'boolean',
+    default: false,
+    description: '启用落地节点功能（如机场家宽/星链/落地分组）',
+    see: '关于链式代理的说明',
+    generate: { short: 'landing', values: [false, true] },
+  },
+  {
+    name: 'ipv6',
+    key: 'ipv6Enabled',
+    type: 'boolean',
+    default: false,
+    description: '启用 IPv6 支持',
+    generate: { short: 'ipv6', values: [false, true] },
+  },
+  {
+    name: 'full',
+    key: 'fullConfig',
+    type: 'boolean',
+    default: false,
+    aliases: ['full_config'],
+    description: '输出完整配置（适合纯内核启动）',
+    generate: { short: 'full', values: [false, true] },
+  },
+  {
+    name: 'keepalive',
+    key: 'keepAliveEnabled',
+    type: 'boolean',
+    default: false,
+    aliases: ['keep_alive'],
+    description: '启用 tcp-keep-alive',
+    note: '[^fn2]',
+    generate: { short: 'keepalive', values: [false, true] },
+  },
+  {
+    name: 'fakeip',
+    key: 'fakeIPEnabled',
+    type: 'boolean',
+    default: false,
+    aliases: ['fake_ip'],
+    description: 'DNS 使用 FakeIP 模式（false 为 RedirHost）',
+    see: '关于 fake-ip',
+    generate: { short: 'fakeip', values: [false, true] },
+  },
+  {
+    name: 'quic',
+    key: 'quicEnabled',
+    type: 'boolean',
+    default: false,
+    description: '允许 QUIC 流量（UDP 443）',
+  },
+  {
+    name: 'threshold',
+    key: 'countryThreshold',
+    type: 'number',
+    default: 0,
+    description: '国家节点数量小于该值时不显示分组',
+  },
+  {
+    name: 'prepend_rules',
+    type: 'list',
+    description: '插入到所有内置规则之前的自定义规则，多条用 ; 分隔',
+  },
+  {
+    name: 'append_rules',
+    type: 'list',
+    description: '插入到 MATCH 之前的自定义规则，多条用 ; 分隔',
+  },
+  {
+    name: 'rule_urls',
+    type: 'list',
+    description:
+      '自定义规则列表（classical 格式）的链接，多个用 ; 分隔，可写作 链接>策略组（默认 选择代理）',
+  },
+  {
+    name: 'rule_providers',
+    type: 'json',
+    description:
+      '额外的 rule-providers 定义（JSON），规则中可通过 RULE-SET 引用',
+  },
+  {
+    name: 'services',
+    type: 'list',
+    defaultText: '全部启用',
+    description: '仅启用指定的服务分组，多个服务 id 用 , 分隔',
+    see: '关于服务分组的启用与禁用',
+  },
+  {
+    name: 'exclude_services',
+    type: 'list',
+    description: '禁用指定的服务分组，多个服务 id 用 , 分隔',
+  },
+  {
+    name: 'prefer_regions',
+    type: 'list',
+    description:
+      '覆盖服务偏好的地区，格式为 服务id:地区|地区，多个服务用 ; 分隔，如 ai:美国|日本;netflix:新加坡',
+    see: '关于服务的偏好地区',
+  },
+  {
+    name: 'regions',
+    type: 'json',
+    description:
+      '自定义或覆盖地区定义（JSON），如 {"迪拜":{"pattern":"迪拜|Dubai"},"香港":{"aliases":"HKG|沪港"}}',
+    see: '关于地区识别',
+  },
+  {
+    name: 'aggregates',
+    type: 'list',
+    defaultText: '不启用',
+    description:
+      '启用地区聚合分组，可选 asia/europe/americas/oceania/africa/streaming，多个用 , 分隔，all 为全部',
+    see: '关于地区聚合分组',
+  },
+  {
+    name: 'aggregate_type',
+    type: 'enum',
+    values: ['url-test', 'fallback'],
+    default: 'url-test',
+    description: '地区聚合分组的类型',
+  },
+  {
+    name: 'test_url',
+    type: 'string',
+    default: 'https://cp.cloudflare.com/generate_204',
+    description: '健康检查地址',
+  },
+  {
+    name: 'interval',
+    type: 'number',
+    default: 60,
+    description: 'url-test/load-balance 分组的检查间隔，单位秒',
+  },
+  {
+    name: 'fallback_interval',
+    type: 'number',
+    default: 180,
+    description: '故障转移分组的检查间隔，单位秒',
+  },
+  {
+    name: 'tolerance',
+    type: 'number',
+    default: 20,
+    description: 'url-test 分组的切换容差，单位毫秒',
+  },
+  {
+    name: 'timeout',
+    type: 'number',
+    defaultText: '使用内核设置',
+    description: '健康检查超时，单位毫秒',
+  },
+  {
+    name: 'lazy',
+    type: 'boolean',
+    default: false,
+    description: '未被使用的分组不进行健康检查',
+  },
+  {
+    name: 'expected_status',
+    type: 'string',
+    defaultText: '使用内核设置',
+    description: '健康检查期望的状态码，如 204、200/302、200-299',
+  },
+  {
+    name: 'lb_strategy',
+    type: 'enum',
+    values: ['consistent-hashing', 'round-robin', 'sticky-sessions'],
+    default: 'consistent-hashing',
+    aliases: ['strategy'],
+    description: '负载均衡策略，仅在 loadbalance=true 时生效',
+  },
+  {
+    name: 'landing_keywords',
+    type: 'string',
+    default: '家宽|家庭|家庭宽带|商宽|商业宽带|星链|Starlink|落地',
+    description: '识别落地节点的关键词（正则写法，用 | 分隔）',
+  },
+  {
+    name: 'lowcost_keywords',
+    type: 'string',
+    default: '0\\.[0-5]|低倍率|省流|大流量|实验性',
+    description: '识别低倍率节点的关键词',
+  },
+  {
+    name: 'dedicated_keywords',
+    type: 'string',
+    default: 'IPLC|IEPL|专线',
+    description: '识别专线节点的关键词，存在匹配节点时生成「专线节点」分组',
+  },
+  {
+    name: 'gaming_keywords',
+    type: 'string',
+    default: '游戏|Game',
+    description: '识别游戏节点的关键词，存在匹配节点时生成「游戏节点」分组',
+  },
+  {
+    name: 'landing_dialer',
+    type: 'list',
+    defaultText: '均使用 前置代理',
+    description:
+      '为落地节点指定前置分组，格式为 关键词:分组，多条用 ; 分隔，如 香港:香港节点',
+    see: '关于链式代理的说明',
+  },
+  {
+    name: 'node_blacklist',
+    type: 'string',
+    defaultText: '内置的 剩余流量|到期时间|官网 等信息节点关键词',
+    description:
+      '剔除名称匹配该正则的节点，自定义正则替换内置关键词，以 + 开头时追加到内置关键词之后，false 为不剔除',
+    see: '关于节点预处理',
+  },
+  {
+    name: 'dedupe',
+    type: 'boolean',
+    default: false,
+    description:
+      '去除除名称外完全相同（含 SNI、path、UUID 等传输与认证参数）的重复节点',
+  },
+  {
+    name: 'rename',
+    type: 'boolean',
+    default: false,
+    description: '按识别出的地区将节点重命名为「🇭🇰 香港 01」的格式',
+  },
+  {
+    name: 'sources',
+    type: 'list',
+    defaultText: '不启用',
+    description:
+      '合并多个订阅时的来源名称，用 ; 分隔，按节点名称前缀识别；auto 为使用 Sub-Store 组合订阅的来源信息',
+    see: '关于多订阅合并',
+  },
+  {
+    name: 'source_countries',
+    type: 'boolean',
+    default: false,
+    description: '按来源再生成「来源 地区节点」分组',
+  },
+  {
+    name: 'prefer_source',
+    type: 'string',
+    description: '选择代理与故障转移优先使用的来源',
+  },
+  {
+    name: 'subscriptions',
+    type: 'list',
+    defaultText: '不启用',
+    description:
+      '订阅链接，多个用 ; 分隔，可写作 链接>名称；传入后输出 proxy-providers，分组通过 use 引用订阅',
+    see: '关于 proxy-providers 模式',
+  },
+  {
+    name: 'provider_regions',
+    type: 'list',
+    defaultText: '常用地区及自定义地区',
+    description: 'proxy-providers 模式下生成的地区分组，用 ; 分隔',
+  },
+  {
+    name: 'provider_interval',
+    type: 'number',
+    default: 86400,
+    description: 'proxy-providers 模式下订阅的更新间隔，单位秒',
+  },
+  {
+    name: 'dns_profile',
+    type: 'enum',
+    values: ['default', 'cn-first', 'overseas', 'corporate'],
+    default: 'default',
+    description: 'DNS 方案',
+    see: '关于 DNS 方案',
+  },
+  {
+    name: 'dns_default',
+    type: 'list',
+    description: '覆盖 default-nameserver，多个用 ; 分隔',
+  },
+  {
+    name: 'dns_nameserver',
+    type: 'list',
+    description: '覆盖 nameserver，多个用 ; 分隔',
+  },
+  {
+    name: 'dns_fallback',
+    type: 'list',
+    description: '覆盖 fallback，多个用 ; 分隔',
+  },
+  {
+    name: 'dns_proxy_server',
+    type: 'list',
+    description: '覆盖 proxy-server-nameserver，多个用 ; 分隔',
+  },
+  {
+    name: 'dns_internal_domains',
+    type: 'list',
+    description:
+      '交给内部 DNS 解析的内网域名，多个用 ; 分隔，如 +.corp.example.com',
+  },
+  {
+    name: 'dns_internal_server',
+    type: 'list',
+    description: '内部 DNS 服务器，多个用 ; 分隔，如 10.0.0.53',
+  },
+  {
+    name: 'dns_policy',
+    type: 'json',
+    description: '额外的 nameserver-policy 条目（JSON）',
+  },
+  {
+    name: 'fakeip_filter',
+    type: 'list',
+    description:
+      '追加到 fake-ip-filter 的条目，多个用 ; 分隔，如 +.example.com;geosite:apple',
+  },
+  {
+    name: 'fakeip_filter_mode',
+    type: 'enum',
+    values: ['blacklist', 'whitelist'],
+    default: 'blacklist',
+    description:
+      'fake-ip-filter 的模式，blacklist 为条目返回真实 IP，whitelist 为仅条目使用 fake-ip',
+  },
+  {
+    name: 'fakeip_range',
+    type: 'string',
+    default: '198.18.0.1/16',
+    description: 'fake-ip 的 IPv4 地址段',
+  },
+  {
+    name: 'fakeip_range6',
+    type: 'string',
+    default: 'fdfe:dcba:9876::1/64',
+    description: 'fake-ip 的 IPv6 地址段，仅在 ipv6=true 时生效',
+  },
+  {
+    name: 'tun',
+    type: 'boolean',
+    default: false,
+    description: '输出 TUN 配置，仅在 full=true 时生效',
+    see: '关于 TUN',
+  },
+  {
+    name: 'tun_stack',
+    type: 'enum',
+    values: ['system', 'gvisor', 'mixed'],
+    default: 'mixed',
+    description: 'TUN 协议栈',
+  },
+  {
+    name: 'tun_auto_route',
+    type: 'boolean',
+    default: true,
+    description: '自动设置路由',
+  },
+  {
+    name: 'tun_auto_redirect',
+    type: 'boolean',
+    default: false,
+    description: '自动配置 nftables/iptables 重定向 TCP 流量，仅 Linux 可用',
+  },
+  {
+    name: 'tun_strict_route',
+    type: 'boolean',
+    default: false,
+    description: '严格路由，防止地址泄露',
+  },
+  {
+    name: 'tun_dns_hijack',
+    type: 'list',
+    default: 'any:53;tcp://any:53',
+    description: '劫持的 DNS 地址，多个用 ; 分隔',
+  },
+  {
+    name: 'tun_route_exclude',
+    type: 'list',
+    description: '不经过 TUN 的地址段，多个用 ; 分隔，如 192.168.0.0/16',
+  },
+  {
+    name: 'tun_mtu',
+    type: 'number',
+    default: 9000,
+    description: 'TUN 网卡的 MTU',
+  },
+  {
+    name: 'mixed_port',
+    type: 'number',
+    default: 7890,
+    description: '混合端口（HTTP 与 SOCKS5）',
+  },
+  {
+    name: 'socks_port',
+    type: 'number',
+    defaultText: '不启用',
+    description: 'SOCKS5 端口',
+  },
+  {
+    name: 'redir_port',
+    type: 'number',
+    default: 7892,
+    description: '透明代理端口（redirect）',
+  },
+  {
+    name: 'tproxy_port',
+    type: 'number',
+    default: 7893,
+    description: '透明代理端口（tproxy）',
+  },
+  {
+    name: 'routing_mark',
+    type: 'number',
+    default: 7894,
+    description: '出站流量的 routing-mark',
+  },
+  {
+    name: 'allow_lan',
+    type: 'boolean',
+    default: true,
+    description: '允许局域网连接',
+  },
+  {
+    name: 'bind_address',
+    type: 'string',
+    default: '*',
+    description: '允许局域网连接时监听的地址',
+  },
+  {
+    name: 'lan_allowed_ips',
+    type: 'list',
+    defaultText: '仅私有地址',
+    description: '允许连接的来源地址段，多个用 ; 分隔',
+  },
+  {
+    name: 'authentication',
+    type: 'list',
+    description:
+      '入站认证用户，格式为 用户名:密码，多个用 ; 分隔（本机访问免认证）',
+  },
+  {
+    name: 'controller',
+    type: 'string',
+    defaultText: '未设置 secret 时为 127.0.0.1:9999，否则为 :9999',
+    description:
+      '控制面板（external-controller）监听地址，:9999 可恢复旧版本默认的局域网访问（需同时设置 secret）',
+    see: '关于完整配置的安全设置',
+  },
+  {
+    name: 'secret',
+    type: 'string',
+    description:
+      '控制面板密钥，auto 为自动生成；监听非本机地址且未设置时自动生成',
+  },
+  {
+    name: 'external_ui',
+    type: 'string',
+    defaultText: '不启用',
+    description: '本地面板目录，true 表示 ui',
+  },
+  {
+    name: 'external_ui_url',
+    type: 'string',
+    defaultText: 'metacubexd',
+    description: '本地面板的下载地址',
+  },
+  {
+    name: 'log_level',
+    type: 'enum',
+    values: ['silent', 'error', 'warning', 'info', 'debug'],
+    default: 'info',
+    description: '日志等级',
+  },
+  {
+    name: 'find_process_mode',
+    type: 'enum',
+    values: ['always', 'strict', 'off'],
+    default: 'off',
+    description: '进程匹配模式',
+  },
+  {
+    name: 'sniff_tls_ports',
+    type: 'list',
+    default: '443;8443',
+    description: 'TLS 嗅探的端口，多个用 ; 分隔，支持 8000-9000 范围写法',
+  },
+  {
+    name: 'sniff_http_ports',
+    type: 'list',
+    default: '80;8080;8880',
+    description: 'HTTP 嗅探的端口，写法同上',
+  },
+  {
+    name: 'sniff_quic_ports',
+    type: 'list',
+    default: '443;8443',
+    description: 'QUIC 嗅探的端口，写法同上；quic=false 时不嗅探 QUIC',
+  },
+  {
+    name: 'sniff_override_destination',
+    type: 'boolean',
+    default: false,
+    description: '使用嗅探到的域名覆盖连接目标',
+  },
+  {
+    name: 'sniff_force_domain',
+    type: 'list',
+    description: '强制嗅探的域名，多个用 ; 分隔',
+  },
+  {
+    name: 'sniff_skip_domain',
+    type: 'list',
+    description: '追加跳过嗅探的域名，多个用 ; 分隔',
+  },
+  {
+    name: 'sniff_skip_src_address',
+    type: 'list',
+    description: '跳过嗅探的来源地址段，多个用 ; 分隔',
+  },
+  {
+    name: 'sniff_skip_dst_address',
+    type: 'list',
+    description: '跳过嗅探的目标地址段，多个用 ; 分隔',
+  },
+  {
+    name: 'mirror',
+    type: 'string',
+    description:
+      '规则集与 GeoData 的镜像地址，作为前缀加在原地址前（如 https://ghfast.top/）；包含 {file} 或 {url} 时作为模板',
+    see: '关于镜像与下载',
+  },
+  {
+    name: 'rule_interval',
+    type: 'number',
+    default: 86400,
+    description: '规则集的更新间隔，单位秒',
+  },
+  {
+    name: 'rule_proxy',
+    type: 'string',
+    defaultText: '直连',
+    description: '下载规则集时使用的代理组，true 表示 选择代理',
+  },
+  {
+    name: 'geo_interval',
+    type: 'number',
+    defaultText: '不自动更新',
+    description: 'GeoData 自动更新间隔，单位小时',
+  },
+];
+
 /**
  * 解析传入的脚本参数，并将其转换为内部使用的功能开关（feature flags）。
  * @param {object} args - 传入的原始参数对象，如 $arguments。
  * @returns {object} - 包含所有功能开关状态的对象。
  *
- * 该函数通过一个 `spec` 对象定义了外部参数名（如 `loadbalance`）到内部变量名（如 `loadBalance`）的映射关系。
- * 它会遍历 `spec` 中的每一项，对 `args` 对象中对应的参数值调用 `parseBool` 函数进行布尔化处理，
- * 并将结果存入返回的对象中。
+ * 按 ARGUMENT_SCHEMA 中声明了 key 的参数逐项解析：布尔参数调用 parseBool，
+ * 数字参数调用 parseNumber，未传入时使用 default。
  */
 function buildFeatureFlags(args) {
-  const spec = {
-    loadbalance: 'loadBalance',
-    landing: 'landing',
-    ipv6: 'ipv6Enabled',
-    full: 'fullConfig',
-    keepalive: 'keepAliveEnabled',
-    fakeip: 'fakeIPEnabled',
-    quic: 'quicEnabled',
-  };
-
-  const flags = Object.entries(spec).reduce((acc, [sourceKey, targetKey]) => {
-    acc[targetKey] = parseBool(args[sourceKey]) || false;
+  return ARGUMENT_SCHEMA.filter((spec) => spec.key).reduce((acc, spec) => {
+    acc[spec.key] =
+      spec.type === 'number'
+        ? parseNumber(args[spec.name], spec.default)
+        : parseBool(args[spec.name]) || spec.default;
     return acc;
   }, {});
+}
 
-  // 单独处理数字参数
-  flags.countryThreshold = parseNumber(args.threshold, 0);
+function parseList(value, separator = ';') {
+  if (Array.isArray(value)) return value.map(String).filter(Boolean);
+  if (typeof value !== 'string') return [];
+  return value
+    .split(separator)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
 
-  return flags;
+function parseJSON(value, name, { warn }) {
+  if (value === null || typeof value === 'undefined' || value === '') {
+    return null;
+  }
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    warn(`参数 ${name} 不是合法的 JSON，已忽略：${e.message}`);
+    return null;
+  }
 }
 
-const rawArgs = typeof $arguments !== 'undefined' ? $arguments : {};
-const {
-  loadBalance,
-  landing,
-  ipv6Enabled,
-  fullConfig,
-  keepAliveEnabled,
-  fakeIPEnabled,
-  quicEnabled,
-  countryThreshold,
-} = buildFeatureFlags(rawArgs);
+/**
+ * 解析用户自定义规则相关的参数。
+ * @param {object} args - 传入的原始参数对象，如 $arguments。
+ * @returns {object} - { prepend, append, urls, providers }
+ *
+ * prepend/append 为规则字符串数组；urls 为 { url, policy } 数组，
+ * 会在 main 中转换为 classical 类型的 rule-provider；providers 为用户传入的 rule-providers 对象。
+ */
+function buildCustomRuleOptions(args, { warn }) {
+  const urls = [];
+  for (const item of parseList(args.rule_urls)) {
+    const [url, policy] = item.split('>').map((part) => part.trim());
+    if (!/^https?:\/\//.test(url)) {
+      warn(`rule_urls 中的 ${item} 缺少有效的链接，已忽略`);
+      continue;
+    }
+    urls.push({ url, policy });
+  }
+
+  const providers = parseJSON(args.rule_providers, 'rule_providers', { warn });
+
+  return {
+    prepend: parseList(args.prepend_rules),
+    append: parseList(args.append_rules),
+    urls,
+    providers:
+      providers && typeof providers === 'object' && !Array.isArray(providers)
+        ? providers
+        : {},
+  };
+}
+
+function normalizeArgumentName(name) {
+  return String(name).trim().toLowerCase().replace(/-/g, '_');
+}
+
+/**
+ * 检查单个参数值是否符合其类型，返回错误说明，合法时返回 null。
+ * list/string 类型不做限制，具体格式由各自的解析函数检查。
+ */
+function validateArgument(spec, value) {
+  if (typeof value === 'boolean') {
+    return spec.type === 'boolean' ? null : '不接受布尔值';
+  }
+  const text = String(value).trim();
+  switch (spec.type) {
+    case 'boolean':
+      return /^(true|false|1|0)$/i.test(text) ? null : '应为 true/false 或 1/0';
+    case 'number':
+      return /^\d+$/.test(text) ? null : '应为非负整数';
+    case 'enum':
+      return spec.values.includes(text)
+        ? null
+        : `可选值为 ${spec.values.join('/')}`;
+    case 'json':
+      if (typeof value === 'object') return null;
+      try {
+        JSON.parse(text);
+        return null;
+      } catch (e) {
+        return `不是合法的 JSON：${e.message}`;
+      }
+    default:
+      return null;
+  }
+}
+
+/**
+ * 按 ARGUMENT_SCHEMA 整理传入的参数：别名、大小写及 - 写法统一为参数名，
+ * 未知参数与类型不符的值会被忽略并输出提示，空值视为未传入。
+ * @param {object} args - 传入的原始参数对象，如 $arguments。
+ * @param {object} reporter - 提示收集器，默认直接输出到日志。
+ * @returns {object} - 以参数名为键、只包含合法值的参数对象。
+ */
+function normalizeArguments(args, { warn } = createReporter()) {
+  const lookup = new Map();
+  for (const spec of ARGUMENT_SCHEMA) {
+    for (const name of [spec.name, ...(spec.aliases || [])]) {
+      lookup.set(normalizeArgumentName(name), spec);
+    }
+  }
+
+  const result = {};
+  for (const [rawName, value] of Object.entries(args || {})) {
+    const spec = lookup.get(normalizeArgumentName(rawName));
+    if (!spec) {
+      warn(`未知的参数 ${rawName}，已忽略`);
+      continue;
+    }
+    if (rawName !== spec.name) {
+      warn(`参数 ${rawName} 已按 ${spec.name} 处理`);
+    }
+    if (value === null || typeof value === 'undefined' || value === '') {
+      continue;
+    }
+    const error = validateArgument(spec, value);
+    if (error) {
+      warn(`参数 ${spec.name} 的值 ${value} 无效（${error}），已忽略`);
+      continue;
+    }
+    result[spec.name] = typeof value === 'string' ? value.trim() : value;
+  }
+  return result;
+}
 
 function getCountryGroupNames(countryInfo, minCount) {
   return countryInfo
@@ -91,20 +861,34 @@ const PROXY_GROUPS = {
   FALLBACK: '故障转移',
   DIRECT: '直连',
   LANDING: '落地节点',
+  FRONT: '前置代理',
   LOW_COST: '低倍率节点',
+  FINAL: '🐟 漏网之鱼',
 };
 
 // 辅助函数，用于根据条件构建数组，自动过滤掉无效值（如 false, null）
 const buildList = (...elements) => elements.flat().filter(Boolean);
 
-function buildBaseLists({ landing, lowCost, countryGroupNames }) {
+function buildBaseLists({
+  landing,
+  lowCost,
+  countryGroupNames,
+  aggregateGroupNames,
+  nodeClassGroupNames,
+  sourceGroupNames,
+  sourceCountryGroupNames,
+}) {
   // 使用辅助函数和常量，以声明方式构建各个代理列表
 
   // “选择节点”组的候选列表
   const defaultSelector = buildList(
     PROXY_GROUPS.FALLBACK,
     landing && PROXY_GROUPS.LANDING,
+    sourceGroupNames,
+    aggregateGroupNames,
     countryGroupNames,
+    sourceCountryGroupNames,
+    nodeClassGroupNames,
     lowCost && PROXY_GROUPS.LOW_COST,
     PROXY_GROUPS.MANUAL,
     'DIRECT',
@@ -113,7 +897,11 @@ function buildBaseLists({ landing, lowCost, countryGroupNames }) {
   // 默认的代理列表，用于大多数策略组
   const defaultProxies = buildList(
     PROXY_GROUPS.SELECT,
+    sourceGroupNames,
+    aggregateGroupNames,
     countryGroupNames,
+    sourceCountryGroupNames,
+    nodeClassGroupNames,
     lowCost && PROXY_GROUPS.LOW_COST,
     PROXY_GROUPS.MANUAL,
     PROXY_GROUPS.DIRECT,
@@ -122,16 +910,22 @@ function buildBaseLists({ landing, lowCost, countryGroupNames }) {
   // “直连”优先的代理列表
   const defaultProxiesDirect = buildList(
     PROXY_GROUPS.DIRECT,
+    sourceGroupNames,
+    aggregateGroupNames,
     countryGroupNames,
+    sourceCountryGroupNames,
+    nodeClassGroupNames,
     lowCost && PROXY_GROUPS.LOW_COST,
     PROXY_GROUPS.SELECT,
     PROXY_GROUPS.MANUAL,
   );
 
-  // “故障转移”组的代理列表
+  // “故障转移”组的代理列表，多个来源时按来源顺序依次切换
   const defaultFallback = buildList(
     landing && PROXY_GROUPS.LANDING,
+    sourceGroupNames,
     countryGroupNames,
+    nodeClassGroupNames,
     lowCost && PROXY_GROUPS.LOW_COST,
     PROXY_GROUPS.MANUAL,
     'DIRECT',
@@ -145,327 +939,853 @@ function buildBaseLists({ landing, lowCost, countryGroupNames }) {
   };
 }
 
-const ruleProviders = {
-  'fakeip-filter': {
+/**
+ * 解析规则集与 GeoData 的下载参数：mirror 为镜像地址，rule_interval 为规则集更新间隔（秒），
+ * geo_interval 为 GeoData 自动更新间隔（小时，0 为不自动更新），rule_proxy 为下载规则集使用的代理组。
+ */
+function buildDownloadOptions(args) {
+  return {
+    mirror: args.mirror || '',
+    ruleInterval: parseNumber(args.rule_interval, 86400),
+    geoInterval: parseNumber(args.geo_interval, 0),
+    ruleProxy:
+      args.rule_proxy === true || args.rule_proxy === 'true'
+        ? PROXY_GROUPS.SELECT
+        : args.rule_proxy || '',
+  };
+}
+
+/**
+ * 按 mirror 参数改写下载地址：
+ * - 包含 {file} 或 {url} 时作为模板，分别替换为文件名与原地址，适合本地文件服务器；
+ * - 否则作为前缀加在原地址前（如 https://ghfast.top/），jsDelivr 地址会先转换为 GitHub 原始地址。
+ */
+function mirrorURL(url, { downloadOptions }) {
+  const { mirror } = downloadOptions;
+  if (!mirror) return url;
+  if (/\{(file|url)\}/.test(mirror)) {
+    return mirror.replace('{file}', url.split('/').pop()).replace('{url}', url);
+  }
+  const jsdelivr = url.match(
+    /^https:\/\/(?:gcore|cdn|fastly)\.jsdelivr\.net\/gh\/([^/]+)\/([^@/]+)@([^/]+)\/(.+)$/,
+  );
+  const original = jsdelivr
+    ? `https://raw.githubusercontent.com/${jsdelivr[1]}/${jsdelivr[2]}/${jsdelivr[3]}/${jsdelivr[4]}`
+    : url;
+  return `${mirror}${original}`;
+}
+
+const DUSTINWIN_BASE =
+  'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset';
+const LOCAL_RULESET_BASE =
+  'https://gcore.jsdelivr.net/gh/hazicy/override-rules@master/ruleset';
+
+// DustinWin/ruleset_geodata 提供的规则集，domain/ipcidr 为 mrs 格式，classical 为 list 格式
+function dustinProvider(name, behavior = 'domain') {
+  const file = behavior === 'classical' ? `${name}.list` : `${name}.mrs`;
+  return {
     type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/fakeip-filter.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/fakeip-filter.mrs',
-    interval: 86400,
-  },
-  private: {
+    behavior,
+    format: behavior === 'classical' ? 'text' : 'mrs',
+    path: `./ruleset/${file}`,
+    url: `${DUSTINWIN_BASE}/${file}`,
+  };
+}
+
+// 本仓库 ruleset/ 目录下维护的补充规则集
+function localProvider(file) {
+  return {
     type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/private.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/private.mrs',
-    interval: 86400,
+    behavior: 'classical',
+    format: 'text',
+    path: `./ruleset/${file}`,
+    url: `${LOCAL_RULESET_BASE}/${file}`,
+  };
+}
+
+// SERVICES 在载入时声明，下载地址与更新间隔在 configure() 中按参数补上
+function applyDownloadOptions(provider, options) {
+  return {
+    ...provider,
+    url: mirrorURL(provider.url, options),
+    interval: options.downloadOptions.ruleInterval,
+  };
+}
+
+// 服务组的默认候选列表类型，对应 buildBaseLists 生成的各个列表
+const POLICY = {
+  PROXY: 'proxy', // 代理优先
+  DIRECT: 'direct', // 直连优先
+  DIRECT_ONLY: 'direct-only', // 仅直连
+  REJECT: 'reject', // 拦截
+};
+
+/**
+ * 服务注册表：每个服务描述一次，代理组、rule-providers 与规则均由此派生。
+ * - id: 服务标识
+ * - name / icon: 代理组名称与图标
+ * - policy: 默认候选列表类型（见 POLICY）；也可用 proxies(context) 自定义候选列表
+ * - regions: 优先使用的地区，对应的地区分组存在时排在候选列表前面，可通过 prefer_regions 参数覆盖
+ * - rules: 按顺序引用的规则集，noResolve 为 true 时规则追加 no-resolve
+ * - parent: 服务被禁用时接管其规则的上级服务 id，未设置时规则随服务一起移除
+ * - required: 为 true 时不可通过参数禁用
+ *
+ * 数组顺序即代理组的显示顺序，也是域名类规则的匹配顺序；
+ * ipcidr 类规则集统一排在所有域名类规则之后，按 IP_RULE_ORDER 匹配。
+ * MATCH 规则不在此处声明，由 baseRules 固定指向 🐟 漏网之鱼。
+ */
+const SERVICES = [
+  {
+    id: 'private',
+    required: true,
+    name: '🔒 私有网络',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Private.png',
+    policy: POLICY.DIRECT_ONLY,
+    rules: [
+      { name: 'private', provider: dustinProvider('private') },
+      {
+        name: 'privateip',
+        provider: dustinProvider('privateip', 'ipcidr'),
+        noResolve: true,
+      },
+    ],
   },
-  ads: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/ads.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/ads.mrs',
-    interval: 86400,
+  {
+    id: 'ads',
+    name: '🛑 广告域名',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/AdBlack.png',
+    policy: POLICY.REJECT,
+    rules: [
+      { name: 'ads', provider: dustinProvider('ads') },
+      {
+        name: 'additional-filter',
+        provider: localProvider('AdditionalFilter.list'),
+      },
+    ],
   },
-  trackerslist: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/trackerslist.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/trackerslist.mrs',
-    interval: 86400,
+  {
+    id: 'trackerslist',
+    name: '📋 Trackerslist',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/AdBlack.png',
+    policy: POLICY.REJECT,
+    rules: [{ name: 'trackerslist', provider: dustinProvider('trackerslist') }],
   },
-  applications: {
-    type: 'http',
-    behavior: 'classical',
-    format: 'text',
-    path: './ruleset/applications.list',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/applications.list',
-    interval: 86400,
+  {
+    id: 'applications',
+    name: '⬇️ 直连软件',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Terminal.png',
+    policy: POLICY.DIRECT_ONLY,
+    rules: [
+      {
+        name: 'applications',
+        provider: dustinProvider('applications', 'classical'),
+      },
+    ],
   },
-  'microsoft-cn': {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/microsoft-cn.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/microsoft-cn.mrs',
-    interval: 86400,
+  {
+    id: 'cdn',
+    name: '🖼️ 静态资源',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Cloudflare.png',
+    policy: POLICY.PROXY,
+    rules: [
+      {
+        name: 'additional-cdn',
+        provider: localProvider('AdditionalCDNResources.list'),
+      },
+    ],
   },
-  'apple-cn': {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/apple-cn.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/apple-cn.mrs',
-    interval: 86400,
+  {
+    id: 'fcm',
+    name: '📢 FCM 推送',
+    icon: 'https://gcore.jsdelivr.net/gh/hazicy/override-rules@master/icons/Google.png',
+    policy: POLICY.PROXY,
+    rules: [
+      {
+        name: 'fcm',
+        provider: localProvider('FirebaseCloudMessaging.list'),
+        noResolve: true,
+      },
+    ],
   },
-  'google-cn': {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/google-cn.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/google-cn.mrs',
-    interval: 86400,
+  {
+    id: 'steam-fix',
+    name: '🚂 Steam 修复',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Steam.png',
+    policy: POLICY.DIRECT,
+    rules: [{ name: 'steam-fix', provider: localProvider('SteamFix.list') }],
   },
-  'games-cn': {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/games-cn.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/games-cn.mrs',
-    interval: 86400,
+  {
+    id: 'microsoft',
+    name: '🪟 微软服务',
+    icon: 'https://gcore.jsdelivr.net/gh/hazicy/override-rules@master/icons/Microsoft_Copilot.png',
+    policy: POLICY.DIRECT,
+    rules: [{ name: 'microsoft-cn', provider: dustinProvider('microsoft-cn') }],
   },
-  netflix: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/netflix.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/netflix.mrs',
-    interval: 86400,
+  {
+    id: 'apple',
+    name: '🍎 苹果服务',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Apple.png',
+    policy: POLICY.DIRECT,
+    rules: [{ name: 'apple-cn', provider: dustinProvider('apple-cn') }],
   },
-  disney: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/disney.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/disney.mrs',
-    interval: 86400,
+  {
+    id: 'google',
+    name: '🇬 谷歌服务',
+    icon: 'https://gcore.jsdelivr.net/gh/hazicy/override-rules@master/icons/Google.png',
+    policy: POLICY.DIRECT,
+    rules: [{ name: 'google-cn', provider: dustinProvider('google-cn') }],
   },
-  max: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/max.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/max.mrs',
-    interval: 86400,
+  {
+    id: 'games-cn',
+    name: '🎮 游戏服务',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Game.png',
+    policy: POLICY.DIRECT,
+    rules: [{ name: 'games-cn', provider: dustinProvider('games-cn') }],
   },
-  primevideo: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/primevideo.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/primevideo.mrs',
-    interval: 86400,
+  {
+    id: 'netflix',
+    parent: 'media',
+    name: '🎥 奈飞视频',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Netflix.png',
+    policy: POLICY.PROXY,
+    rules: [
+      { name: 'netflix', provider: dustinProvider('netflix') },
+      { name: 'netflixip', provider: dustinProvider('netflixip', 'ipcidr') },
+    ],
   },
-  appletv: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/appletv.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/appletv.mrs',
-    interval: 86400,
+  {
+    id: 'disney',
+    parent: 'media',
+    name: '📽️ 迪士尼+',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Disney.png',
+    policy: POLICY.PROXY,
+    rules: [{ name: 'disney', provider: dustinProvider('disney') }],
   },
-  youtube: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/youtube.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/youtube.mrs',
-    interval: 86400,
+  {
+    id: 'max',
+    parent: 'media',
+    name: '🎞️ Max',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/HBO.png',
+    policy: POLICY.PROXY,
+    rules: [{ name: 'max', provider: dustinProvider('max') }],
   },
-  tiktok: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/tiktok.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/tiktok.mrs',
-    interval: 86400,
+  {
+    id: 'primevideo',
+    parent: 'media',
+    name: '🎬 Prime Video',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Prime.png',
+    policy: POLICY.PROXY,
+    rules: [{ name: 'primevideo', provider: dustinProvider('primevideo') }],
   },
-  bilibili: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/bilibili.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/bilibili.mrs',
-    interval: 86400,
+  {
+    id: 'appletv',
+    parent: 'media',
+    name: '🍎 Apple TV+',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Apple.png',
+    policy: POLICY.PROXY,
+    rules: [{ name: 'appletv', provider: dustinProvider('appletv') }],
   },
-  spotify: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/spotify.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/spotify.mrs',
-    interval: 86400,
+  {
+    id: 'youtube',
+    parent: 'media',
+    name: '📹 油管视频',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/YouTube.png',
+    policy: POLICY.PROXY,
+    rules: [{ name: 'youtube', provider: dustinProvider('youtube') }],
   },
-  media: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/media.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/media.mrs',
-    interval: 86400,
+  {
+    id: 'tiktok',
+    name: '🎵 TikTok',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/TikTok.png',
+    policy: POLICY.PROXY,
+    rules: [
+      { name: 'tiktok-extra', provider: localProvider('TikTok.list') },
+      { name: 'tiktok', provider: dustinProvider('tiktok') },
+    ],
   },
-  games: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/games.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/games.mrs',
-    interval: 86400,
+  {
+    id: 'bilibili',
+    name: '📺 哔哩哔哩',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/bilibili.png',
+    policy: POLICY.DIRECT,
+    // 港澳台限定番剧
+    regions: ['台湾', '香港'],
+    rules: [{ name: 'bilibili', provider: dustinProvider('bilibili') }],
   },
-  ai: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/ai.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/ai.mrs',
-    interval: 86400,
+  {
+    id: 'weibo',
+    name: '🧣 微博',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Weibo.png',
+    policy: POLICY.DIRECT,
+    rules: [{ name: 'weibo', provider: localProvider('Weibo.list') }],
   },
-  networktest: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/networktest.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/networktest.mrs',
-    interval: 86400,
+  {
+    id: 'spotify',
+    parent: 'media',
+    name: '🎶 Spotify',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Spotify.png',
+    policy: POLICY.PROXY,
+    rules: [{ name: 'spotify', provider: dustinProvider('spotify') }],
   },
-  'tld-proxy': {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/tld-proxy.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/tld-proxy.mrs',
-    interval: 86400,
+  {
+    id: 'media',
+    name: '🌍 国外媒体',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/GlobalMedia.png',
+    policy: POLICY.PROXY,
+    rules: [
+      { name: 'media', provider: dustinProvider('media') },
+      { name: 'mediaip', provider: dustinProvider('mediaip', 'ipcidr') },
+    ],
   },
-  gfw: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/gfw.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/gfw.mrs',
-    interval: 86400,
+  {
+    id: 'games',
+    name: '🎮 游戏平台',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Game.png',
+    policy: POLICY.PROXY,
+    rules: [
+      { name: 'games', provider: dustinProvider('games') },
+      { name: 'gamesip', provider: dustinProvider('gamesip', 'ipcidr') },
+    ],
   },
-  cn: {
-    type: 'http',
-    behavior: 'domain',
-    format: 'mrs',
-    path: './ruleset/cn.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/cn.mrs',
-    interval: 86400,
+  {
+    id: 'ai',
+    name: '🤖 AI 平台',
+    icon: 'https://gcore.jsdelivr.net/gh/hazicy/override-rules@master/icons/ChatGPT.png',
+    policy: POLICY.PROXY,
+    // 多数 AI 服务不对香港开放
+    regions: ['美国', '日本', '新加坡'],
+    rules: [{ name: 'ai', provider: dustinProvider('ai') }],
   },
-  privateip: {
-    type: 'http',
-    behavior: 'ipcidr',
-    format: 'mrs',
-    path: './ruleset/privateip.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/privateip.mrs',
-    interval: 86400,
+  {
+    id: 'crypto',
+    name: '💰 加密货币',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Cryptocurrency_3.png',
+    policy: POLICY.PROXY,
+    rules: [{ name: 'crypto', provider: localProvider('Crypto.list') }],
   },
-  cnip: {
-    type: 'http',
-    behavior: 'ipcidr',
-    format: 'mrs',
-    path: './ruleset/cnip.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/cnip.mrs',
-    interval: 86400,
+  {
+    id: 'ehentai',
+    name: '🔞 E-Hentai',
+    icon: 'https://gcore.jsdelivr.net/gh/hazicy/override-rules@master/icons/Ehentai.png',
+    policy: POLICY.PROXY,
+    rules: [
+      {
+        name: 'ehentai',
+        provider: localProvider('EHentai.list'),
+        noResolve: true,
+      },
+    ],
   },
-  netflixip: {
-    type: 'http',
-    behavior: 'ipcidr',
-    format: 'mrs',
-    path: './ruleset/netflixip.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/netflixip.mrs',
-    interval: 86400,
+  {
+    id: 'truthsocial',
+    name: '🇺🇸 Truth Social',
+    icon: 'https://gcore.jsdelivr.net/gh/hazicy/override-rules@master/icons/TruthSocial.png',
+    policy: POLICY.PROXY,
+    regions: ['美国'],
+    rules: [
+      { name: 'truthsocial', provider: localProvider('TruthSocial.list') },
+    ],
   },
-  mediaip: {
-    type: 'http',
-    behavior: 'ipcidr',
-    format: 'mrs',
-    path: './ruleset/mediaip.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/mediaip.mrs',
-    interval: 86400,
+  {
+    id: 'networktest',
+    name: '📈 网络测试',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Speedtest.png',
+    policy: POLICY.PROXY,
+    rules: [{ name: 'networktest', provider: dustinProvider('networktest') }],
   },
-  gamesip: {
-    type: 'http',
-    behavior: 'ipcidr',
-    format: 'mrs',
-    path: './ruleset/gamesip.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/gamesip.mrs',
-    interval: 86400,
+  {
+    id: 'tld-proxy',
+    name: '🧱 代理顶级域名',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Proxy.png',
+    policy: POLICY.PROXY,
+    rules: [{ name: 'tld-proxy', provider: dustinProvider('tld-proxy') }],
   },
-  telegramip: {
-    type: 'http',
-    behavior: 'ipcidr',
-    format: 'mrs',
-    path: './ruleset/telegramip.mrs',
-    url: 'https://github.com/DustinWin/ruleset_geodata/releases/download/mihomo-ruleset/telegramip.mrs',
-    interval: 86400,
+  {
+    id: 'gfw',
+    name: '🧱 代理域名',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Proxy.png',
+    policy: POLICY.PROXY,
+    rules: [{ name: 'gfw', provider: dustinProvider('gfw') }],
+  },
+  {
+    id: 'cn',
+    required: true,
+    name: '🛡️ 直连域名',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Direct.png',
+    policy: POLICY.DIRECT_ONLY,
+    rules: [{ name: 'cn', provider: dustinProvider('cn') }],
+  },
+  {
+    id: 'cnip',
+    required: true,
+    name: '🀄️ 直连 IP',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Direct.png',
+    policy: POLICY.DIRECT_ONLY,
+    rules: [{ name: 'cnip', provider: dustinProvider('cnip', 'ipcidr') }],
+  },
+  {
+    id: 'telegram',
+    name: '📲 电报消息',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Telegram.png',
+    policy: POLICY.PROXY,
+    rules: [
+      {
+        name: 'telegramip',
+        provider: dustinProvider('telegramip', 'ipcidr'),
+        noResolve: true,
+      },
+    ],
+  },
+  {
+    id: 'direct',
+    required: true,
+    name: PROXY_GROUPS.DIRECT,
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Direct.png',
+    proxies: () => ['DIRECT', PROXY_GROUPS.SELECT],
+    rules: [],
+  },
+  {
+    id: 'final',
+    required: true,
+    name: PROXY_GROUPS.FINAL,
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Final.png',
+    policy: POLICY.PROXY,
+    rules: [],
   },
-};
-
-const baseRules = [
-  'RULE-SET,private,🔒 私有网络',
-  'RULE-SET,ads,🛑 广告域名',
-  'RULE-SET,trackerslist,📋 Trackerslist',
-  'RULE-SET,applications,⬇️ 直连软件',
-  'RULE-SET,microsoft-cn,🪟 微软服务',
-  'RULE-SET,apple-cn,🍎 苹果服务',
-  'RULE-SET,google-cn,🇬 谷歌服务',
-  'RULE-SET,games-cn,🎮 游戏服务',
-  'RULE-SET,netflix,🎥 奈飞视频',
-  'RULE-SET,disney,📽️ 迪士尼+',
-  'RULE-SET,max,🎞️ Max',
-  'RULE-SET,primevideo,🎬 Prime Video',
-  'RULE-SET,appletv,🍎 Apple TV+',
-  'RULE-SET,youtube,📹 油管视频',
-  'RULE-SET,tiktok,🎵 TikTok',
-  'RULE-SET,bilibili,📺 哔哩哔哩',
-  'RULE-SET,spotify,🎶 Spotify',
-  'RULE-SET,media,🌍 国外媒体',
-  'RULE-SET,games,🎮 游戏平台',
-  'RULE-SET,ai,🤖 AI 平台',
-  'RULE-SET,networktest,📈 网络测试',
-  'RULE-SET,tld-proxy,🧱 代理顶级域名',
-  'RULE-SET,gfw,🧱 代理域名',
-  'RULE-SET,cn,🛡️ 直连域名',
-  'RULE-SET,privateip,🔒 私有网络,no-resolve',
-  'RULE-SET,cnip,🀄️ 直连 IP',
-  'RULE-SET,netflixip,🎥 奈飞视频',
-  'RULE-SET,mediaip,🌍 国外媒体',
-  'RULE-SET,gamesip,🎮 游戏平台',
-  'RULE-SET,telegramip,📲 电报消息,no-resolve',
-  'MATCH,🐟 漏网之鱼',
 ];
 
-function buildRules({ quicEnabled }) {
-  const ruleList = [...baseRules];
-  if (!quicEnabled) {
-    // 屏蔽 QUIC 流量，避免网络环境 UDP 速度不佳时影响体验
-    ruleList.unshift('AND,((DST-PORT,443),(NETWORK,UDP)),REJECT');
+/**
+ * 解析服务启用参数，返回启用的服务列表。
+ * services 为白名单（留空表示全部），exclude_services 为黑名单；required 服务始终启用。
+ */
+function selectServices(services, args, { warn }) {
+  const include = parseList(args.services, ',');
+  const exclude = parseList(args.exclude_services, ',');
+
+  const knownIds = services.map((service) => service.id);
+  for (const id of [...include, ...exclude]) {
+    if (!knownIds.includes(id)) warn(`未知的服务 ${id}，已忽略`);
   }
-  return ruleList;
+  for (const service of services) {
+    if (service.required && exclude.includes(service.id)) {
+      warn(`服务 ${service.id}（${service.name}）不可禁用，已忽略`);
+    }
+  }
+
+  return services.filter(
+    (service) =>
+      service.required ||
+      ((include.length === 0 || include.includes(service.id)) &&
+        !exclude.includes(service.id)),
+  );
 }
 
-const snifferConfig = {
-  sniff: {
-    TLS: {
-      ports: [443, 8443],
-    },
-    HTTP: {
-      ports: [80, 8080, 8880],
-    },
-    QUIC: {
-      ports: [443, 8443],
-    },
-  },
-  'override-destination': false,
-  enable: true,
-  'force-dns-mapping': true,
-  'skip-domain': ['Mijia Cloud', 'dlg.io.mi.com', '+.push.apple.com'],
-};
+// ipcidr 类规则集的匹配顺序，与原有配置一致：国内 IP 紧跟私有网络，先于各服务的 IP 段直连；
+// 未列出的规则集排在最后，按 SERVICES 中的顺序匹配
+const IP_RULE_ORDER = [
+  'privateip',
+  'cnip',
+  'netflixip',
+  'mediaip',
+  'gamesip',
+  'telegramip',
+];
 
-function buildDnsConfig({ mode, fakeIpFilter }) {
-  const config = {
-    enable: true,
-    ipv6: ipv6Enabled,
-    'prefer-h3': true,
-    'enhanced-mode': mode,
-    'default-nameserver': ['119.29.29.29', '223.5.5.5'],
-    nameserver: ['system', '223.5.5.5', '119.29.29.29', '180.184.1.1'],
-    fallback: [
+function ipRuleRank(rule) {
+  const index = IP_RULE_ORDER.indexOf(rule.name);
+  return index === -1 ? IP_RULE_ORDER.length : index;
+}
+
+/**
+ * 为每条服务规则确定目标代理组。
+ * 被禁用服务的规则转交给最近的已启用上级服务（parent）；没有可用上级时丢弃该规则，
+ * 流量交由后续规则处理，最终落入 🐟 漏网之鱼。
+ * @returns {Array<object>} - [{ name, provider, noResolve, target }]，按匹配顺序排列
+ */
+function routeServiceRules(services, enabledServices) {
+  const byId = Object.fromEntries(
+    services.map((service) => [service.id, service]),
+  );
+  const resolveTarget = (service) => {
+    let current = service;
+    while (current && !enabledServices.includes(current)) {
+      current = byId[current.parent];
+    }
+    return current;
+  };
+
+  const domainRules = [];
+  const ipRules = [];
+  for (const service of services) {
+    const target = resolveTarget(service);
+    if (!target) continue;
+    for (const rule of service.rules) {
+      const list = rule.provider.behavior === 'ipcidr' ? ipRules : domainRules;
+      list.push({ ...rule, target: target.name });
+    }
+  }
+  ipRules.sort((a, b) => ipRuleRank(a) - ipRuleRank(b));
+  return [...domainRules, ...ipRules];
+}
+
+/**
+ * 解析 prefer_regions 参数，格式为 服务id:地区|地区;服务id:地区，
+ * 地区可写地区名（美国）或分组名（美国节点、亚洲节点）。
+ * @returns {object} - { 服务id: [地区, ...] }
+ */
+function parsePreferredRegions(value, { warn }) {
+  const preferred = {};
+  for (const item of parseList(value)) {
+    const [id, regions = ''] = item.split(':').map((part) => part.trim());
+    if (!SERVICES.some((service) => service.id === id)) {
+      warn(`prefer_regions 中的服务 ${id} 不存在，已忽略`);
+      continue;
+    }
+    preferred[id] = parseList(regions, '|');
+  }
+  return preferred;
+}
+
+/**
+ * 将服务偏好的地区分组排到候选列表前面，其余候选保持原有顺序。
+ * 直连优先的服务仍以直连开头；偏好的地区分组都不存在时原样返回候选列表。
+ */
+function applyPreferredRegions(proxies, regions, { policy, regionGroups }) {
+  const preferred = regions
+    .map((region) =>
+      regionGroups.includes(region) ? region : `${region}${NODE_SUFFIX}`,
+    )
+    .filter((name) => regionGroups.includes(name));
+  if (preferred.length === 0) return proxies;
+
+  const rest = proxies.filter((name) => !preferred.includes(name));
+  if (policy === POLICY.DIRECT) {
+    return buildList(
+      PROXY_GROUPS.DIRECT,
+      preferred,
+      rest.filter((name) => name !== PROXY_GROUPS.DIRECT),
+    );
+  }
+  return [...preferred, ...rest];
+}
+
+/**
+ * 根据服务注册表生成各服务的代理组。
+ * @param {object} context - { countries, regionGroups, lists }，regionGroups 为已生成的地区及聚合分组名称，
+ *   lists 为 POLICY 到候选列表的映射。
+ */
+function buildServiceGroups(services, context, { preferredRegions }) {
+  return services.map((service) => {
+    const proxies = service.proxies
+      ? service.proxies(context)
+      : context.lists[service.policy];
+    const regions = preferredRegions[service.id] || service.regions || [];
+    return {
+      name: service.name,
+      icon: service.icon,
+      type: 'select',
+      proxies: applyPreferredRegions(proxies, regions, {
+        policy: service.policy,
+        regionGroups: context.regionGroups,
+      }),
+    };
+  });
+}
+
+// 不属于任何代理组、但可以作为规则目标的内置策略
+const BUILTIN_POLICIES = [
+  'DIRECT',
+  'REJECT',
+  'REJECT-DROP',
+  'PASS',
+  'COMPATIBLE',
+];
+
+const RULE_TYPES = [
+  'DOMAIN',
+  'DOMAIN-SUFFIX',
+  'DOMAIN-KEYWORD',
+  'DOMAIN-REGEX',
+  'DOMAIN-WILDCARD',
+  'GEOSITE',
+  'GEOIP',
+  'SRC-GEOIP',
+  'IP-ASN',
+  'SRC-IP-ASN',
+  'IP-CIDR',
+  'IP-CIDR6',
+  'SRC-IP-CIDR',
+  'IP-SUFFIX',
+  'SRC-IP-SUFFIX',
+  'DST-PORT',
+  'SRC-PORT',
+  'IN-PORT',
+  'IN-TYPE',
+  'IN-USER',
+  'IN-NAME',
+  'PROCESS-NAME',
+  'PROCESS-NAME-REGEX',
+  'PROCESS-PATH',
+  'PROCESS-PATH-REGEX',
+  'UID',
+  'NETWORK',
+  'DSCP',
+  'RULE-SET',
+  'AND',
+  'OR',
+  'NOT',
+];
+
+const RULE_OPTIONS = ['no-resolve', 'src'];
+
+// 逻辑规则的子规则写在括号内
+const LOGIC_RULES = ['AND', 'OR', 'NOT'];
+
+// 按最外层的逗号拆分规则，括号内的逗号属于逻辑规则的子规则
+function splitRule(rule) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (const char of rule) {
+    if (char === '(') depth++;
+    if (char === ')') depth--;
+    if (char === ',' && depth === 0) {
+      parts.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current.trim());
+  return parts;
+}
+
+/**
+ * 解析规则：去掉末尾的规则参数后，最后一段为目标策略，类型与目标策略之间的部分均为规则内容，
+ * 因此 DOMAIN-REGEX 等内容中含有逗号的规则也能正确解析。yaml_generator 的校验器同样使用该函数。
+ * @returns {object} - { type, payload, target, ruleSets }，ruleSets 为引用的规则集
+ */
+function parseRule(rule) {
+  const parts = splitRule(rule);
+  const type = parts[0].toUpperCase();
+  while (parts.length > 2 && RULE_OPTIONS.includes(parts[parts.length - 1])) {
+    parts.pop();
+  }
+  const target = parts.length > 1 ? parts[parts.length - 1] : '';
+  const payload = parts.slice(1, -1).join(',');
+
+  const ruleSets = [];
+  if (type === 'RULE-SET') ruleSets.push(payload);
+  if (LOGIC_RULES.includes(type)) {
+    for (const match of payload.matchAll(/RULE-SET,([^,()]+)/gi)) {
+      ruleSets.push(match[1].trim());
+    }
+  }
+  return { type, payload, target, ruleSets };
+}
+
+/**
+ * 校验一条用户自定义规则，返回错误信息；合法时返回 null。
+ */
+function validateCustomRule(rule, { policies, providers }) {
+  const { type, payload, target, ruleSets } = parseRule(rule);
+  if (type === 'MATCH') return 'MATCH 规则由脚本生成，不能自定义';
+  if (!RULE_TYPES.includes(type)) return `未知的规则类型 ${type}`;
+  if (LOGIC_RULES.includes(type) && !/^\(.*\)$/.test(payload)) {
+    return '逻辑规则缺少条件';
+  }
+  if (!payload) return '规则格式应为 类型,内容,策略组';
+  const missing = ruleSets.find((name) => !providers.includes(name));
+  if (missing) return `未找到规则集 ${missing}`;
+  if (!policies.includes(target)) return `未找到策略组 ${target}`;
+  return null;
+}
+
+function filterCustomRules(rules, context, { warn }) {
+  return rules.filter((rule) => {
+    const error = validateCustomRule(rule, context);
+    if (error) warn(`已忽略自定义规则 "${rule}"：${error}`);
+    return !error;
+  });
+}
+
+function buildRules(
+  { quicEnabled, customRules, policies, providers },
+  options,
+) {
+  const ruleList = [...options.baseRules];
+  if (!quicEnabled) {
+    // 屏蔽 QUIC 流量，避免网络环境 UDP 速度不佳时影响体验
+    ruleList.unshift('AND,((DST-PORT,443),(NETWORK,UDP)),REJECT');
+  }
+
+  // 自定义规则：prepend 优先于所有内置规则，append 放在 MATCH 之前
+  const context = { policies, providers };
+  const prepend = filterCustomRules(customRules.prepend, context, options);
+  const append = filterCustomRules(customRules.append, context, options);
+  ruleList.unshift(...prepend);
+  ruleList.splice(ruleList.length - 1, 0, ...append);
+
+  return ruleList;
+}
+
+/**
+ * 合并内置与用户自定义的 rule-providers，并为 rule_urls 生成对应的规则集与规则。
+ * 不合法的 provider 定义会被忽略，以免内核加载配置失败；
+ * rule_urls 中的策略组不存在时，规则与规则集一并忽略，不输出无人引用的规则集。
+ */
+function buildRuleProviders(
+  customRules,
+  policies,
+  { ruleProviders, downloadOptions, warn },
+) {
+  const providers = { ...ruleProviders };
+
+  for (const [name, provider] of Object.entries(customRules.providers)) {
+    if (!provider || typeof provider !== 'object') {
+      warn(`已忽略规则集 ${name}：定义不是对象`);
+      continue;
+    }
+    if (!['http', 'file', 'inline'].includes(provider.type)) {
+      warn(`已忽略规则集 ${name}：type 必须是 http/file/inline`);
+      continue;
+    }
+    if (!['domain', 'ipcidr', 'classical'].includes(provider.behavior)) {
+      warn(`已忽略规则集 ${name}：behavior 必须是 domain/ipcidr/classical`);
+      continue;
+    }
+    providers[name] = provider;
+  }
+
+  // 生成的规则集名称避开已有的规则集，不覆盖用户在 rule_providers 中的定义
+  let index = 0;
+  const urlRules = [];
+  for (const { url, policy: target } of customRules.urls) {
+    const policy = target || PROXY_GROUPS.SELECT;
+    if (!policies.includes(policy)) {
+      warn(`已忽略规则集 ${url}：未找到策略组 ${policy}`);
+      continue;
+    }
+    const preferred = `custom-${++index}`;
+    let name = preferred;
+    while (providers[name]) name = `custom-${++index}`;
+    if (name !== preferred) {
+      warn(`规则集名称 ${preferred} 已被占用，${url} 改用 ${name}`);
+    }
+    providers[name] = {
+      type: 'http',
+      behavior: 'classical',
+      format: 'text',
+      path: `./ruleset/${name}.list`,
+      url,
+      interval: downloadOptions.ruleInterval,
+    };
+    urlRules.push(`RULE-SET,${name},${policy}`);
+  }
+
+  return {
+    providers,
+    // 来自 URL 的规则列表视为用户规则，优先于内置规则
+    customRules: {
+      ...customRules,
+      prepend: [...customRules.prepend, ...urlRules],
+    },
+  };
+}
+
+/**
+ * 为 http 类型的规则集设置下载时使用的代理（已自行声明 proxy 的规则集除外）。
+ * 代理组不存在时忽略该参数。
+ */
+function applyRuleProviderProxy(providers, proxy, policies, { warn }) {
+  if (!proxy) return providers;
+  if (!policies.includes(proxy)) {
+    warn(`rule_proxy 中的代理组 ${proxy} 不存在，已忽略`);
+    return providers;
+  }
+  return Object.fromEntries(
+    Object.entries(providers).map(([name, provider]) => [
+      name,
+      provider.type === 'http' && !provider.proxy
+        ? { ...provider, proxy }
+        : provider,
+    ]),
+  );
+}
+
+const SNIFF_PROTOCOLS = {
+  TLS: { arg: 'sniff_tls_ports', ports: [443, 8443] },
+  HTTP: { arg: 'sniff_http_ports', ports: [80, 8080, 8880] },
+  QUIC: { arg: 'sniff_quic_ports', ports: [443, 8443] },
+};
+
+// 端口可写作单个端口或范围，如 443;8000-9000
+function parsePorts(value, name, { warn }) {
+  return parseList(value).reduce((ports, item) => {
+    if (/^\d+$/.test(item)) ports.push(Number(item));
+    else if (/^\d+-\d+$/.test(item)) ports.push(item);
+    else warn(`参数 ${name} 中的端口 ${item} 无效，已忽略`);
+    return ports;
+  }, []);
+}
+
+/**
+ * 生成域名嗅探配置。quic=false 时 UDP 443 已被规则拒绝，不再嗅探 QUIC。
+ * force-domain/skip-domain 与 skip-src-address/skip-dst-address 追加在默认值之后。
+ */
+function buildSnifferConfig(args, options) {
+  const sniff = {};
+  for (const [protocol, { arg, ports }] of Object.entries(SNIFF_PROTOCOLS)) {
+    if (protocol === 'QUIC' && !options.quicEnabled) continue;
+    const custom = parsePorts(args[arg], arg, options);
+    sniff[protocol] = { ports: custom.length ? custom : ports };
+  }
+
+  const forceDomain = parseList(args.sniff_force_domain);
+  const skipSrc = parseList(args.sniff_skip_src_address);
+  const skipDst = parseList(args.sniff_skip_dst_address);
+
+  return {
+    sniff,
+    'override-destination': parseBool(args.sniff_override_destination),
+    enable: true,
+    'force-dns-mapping': true,
+    ...(forceDomain.length ? { 'force-domain': forceDomain } : {}),
+    'skip-domain': [
+      'Mijia Cloud',
+      'dlg.io.mi.com',
+      '+.push.apple.com',
+      ...parseList(args.sniff_skip_domain),
+    ],
+    ...(skipSrc.length ? { 'skip-src-address': skipSrc } : {}),
+    ...(skipDst.length ? { 'skip-dst-address': skipDst } : {}),
+  };
+}
+
+const DOMESTIC_DOH = [
+  'https://dns.alidns.com/dns-query',
+  'https://doh.pub/dns-query',
+];
+const OVERSEAS_DOH = [
+  'https://dns.cloudflare.com/dns-query',
+  'https://dns.google/dns-query',
+];
+
+// DNS 方案：policy 的键为规则集名称，与规则使用同一份 cn/gfw/private 分类
+// 通过 dns_fallback 设置 fallback 时使用：国内 IP 与非被墙域名使用 nameserver 的结果，其余使用 fallback
+const FALLBACK_FILTER = {
+  geoip: true,
+  'geoip-code': 'CN',
+  geosite: ['gfw'],
+  ipcidr: ['240.0.0.0/4', '0.0.0.0/32'],
+};
+
+const DNS_PROFILES = {
+  // 与原有配置完全一致：nameserver 与 fallback 并发查询，不设置 fallback-filter
+  default: {
+    'default-nameserver': ['119.29.29.29', '223.5.5.5'],
+    nameserver: ['system', '223.5.5.5', '119.29.29.29', '180.184.1.1'],
+    fallback: [
       'quic://dns0.eu',
       'https://dns.cloudflare.com/dns-query',
       'https://dns.sb/dns-query',
@@ -476,209 +1796,1877 @@ function buildDnsConfig({ mode, fakeIpFilter }) {
       'https://dns.alidns.com/dns-query',
       'tls://dot.pub',
     ],
+    policy: {},
+  },
+  // 国内 DoH 为主，被墙域名使用境外 DoH
+  'cn-first': {
+    'default-nameserver': ['223.5.5.5', '119.29.29.29'],
+    nameserver: DOMESTIC_DOH,
+    fallback: [],
+    'fallback-filter': FALLBACK_FILTER,
+    'proxy-server-nameserver': DOMESTIC_DOH,
+    policy: { private: ['system'], gfw: OVERSEAS_DOH },
+  },
+  // 境外 DoH 为主，国内域名使用国内 DoH
+  overseas: {
+    'default-nameserver': ['223.5.5.5', '119.29.29.29'],
+    nameserver: OVERSEAS_DOH,
+    fallback: [],
+    'fallback-filter': FALLBACK_FILTER,
+    'proxy-server-nameserver': DOMESTIC_DOH,
+    policy: { private: ['system'], cn: DOMESTIC_DOH },
+  },
+  // 在 cn-first 的基础上，内网域名交给内部 DNS（dns_internal_domains/dns_internal_server）
+  corporate: {
+    'default-nameserver': ['223.5.5.5', '119.29.29.29'],
+    nameserver: DOMESTIC_DOH,
+    fallback: [],
+    'fallback-filter': FALLBACK_FILTER,
+    'proxy-server-nameserver': DOMESTIC_DOH,
+    policy: { private: ['system'], gfw: OVERSEAS_DOH },
+    internal: true,
+  },
+};
+
+/**
+ * 解析 DNS 相关参数：dns_profile 选择方案，dns_default/dns_nameserver/dns_fallback/dns_proxy_server
+ * 覆盖对应的上游（用 ; 分隔），dns_internal_domains 与 dns_internal_server 指定内网域名及其 DNS，
+ * dns_policy 为额外的 nameserver-policy（JSON）。
+ */
+function buildDnsOptions(args, options) {
+  const profile = DNS_PROFILES[args.dns_profile || 'default'];
+
+  const override = (name, key) => {
+    const list = parseList(args[name]);
+    return list.length ? list : profile[key];
+  };
+
+  const internalDomains = parseList(args.dns_internal_domains);
+  const internalServers = parseList(args.dns_internal_server);
+  if (
+    profile.internal &&
+    (internalDomains.length === 0 || internalServers.length === 0)
+  ) {
+    options.warn(
+      'corporate DNS 方案需要同时设置 dns_internal_domains 与 dns_internal_server',
+    );
+  }
+
+  const policy = parseJSON(args.dns_policy, 'dns_policy', options);
+
+  return {
+    'default-nameserver': override('dns_default', 'default-nameserver'),
+    nameserver: override('dns_nameserver', 'nameserver'),
+    fallback: override('dns_fallback', 'fallback'),
+    'fallback-filter': profile['fallback-filter'] || null,
+    'proxy-server-nameserver': override(
+      'dns_proxy_server',
+      'proxy-server-nameserver',
+    ),
+    policy: profile.policy,
+    internalDomains: internalServers.length ? internalDomains : [],
+    internalServers,
+    extraPolicy:
+      policy && typeof policy === 'object' && !Array.isArray(policy)
+        ? policy
+        : {},
+  };
+}
+
+// 在 geodata 中有同名分类的规则集，规则集未启用时可退回 geosite
+const GEOSITE_CATEGORIES = ['cn', 'gfw', 'private'];
+
+/**
+ * 引用规则集作为 DNS 的域名匹配条件：规则集存在时使用 rule-set:名称，
+ * 否则退回同名的 geosite 分类，两者都没有时返回 null。
+ */
+function ruleSetMatcher(name, { ruleProviders }) {
+  if (ruleProviders[name]) return `rule-set:${name}`;
+  return GEOSITE_CATEGORIES.includes(name) ? `geosite:${name}` : null;
+}
+
+/**
+ * 生成 nameserver-policy，规则集的引用方式见 ruleSetMatcher。
+ */
+function buildNameserverPolicy(
+  { policy, internalDomains, internalServers, extraPolicy },
+  options,
+) {
+  const result = {};
+  for (const domain of internalDomains) {
+    result[domain] = internalServers;
+  }
+  for (const [name, servers] of Object.entries(policy)) {
+    const key = ruleSetMatcher(name, options);
+    if (key) result[key] = servers;
+  }
+  return { ...result, ...extraPolicy };
+}
+
+// 规则集之外需要返回真实 IP 的域名：连通性检测、米家设备、QQ 快捷登录、iCloud 与 STUN 服务
+const FAKEIP_FILTER_EXTRA = [
+  'geosite:connectivity-check',
+  'Mijia Cloud',
+  'dig.io.mi.com',
+  'localhost.ptlogin2.qq.com',
+  '*.icloud.com',
+  '*.stun.*.*',
+  '*.stun.*.*.*',
+];
+
+/**
+ * 解析 fake-ip 相关参数：fakeip_filter 为追加的过滤条目（用 ; 分隔），
+ * fakeip_filter_mode 为 blacklist（默认，条目返回真实 IP）或 whitelist（仅条目使用 fake-ip），
+ * fakeip_range/fakeip_range6 为 fake-ip 地址段，IPv6 地址段仅在启用 IPv6 时输出。
+ */
+function buildFakeIpOptions(args, options) {
+  const filterMode = args.fakeip_filter_mode || 'blacklist';
+
+  // blacklist 下排除 fakeip-filter 规则集、内网与国内域名；whitelist 下只为需要代理的域名分配 fake-ip
+  const builtinFilter =
+    filterMode === 'whitelist'
+      ? ['gfw', 'tld-proxy'].map((name) => ruleSetMatcher(name, options))
+      : [
+          'rule-set:fakeip-filter',
+          ruleSetMatcher('private', options),
+          ruleSetMatcher('cn', options),
+          ...FAKEIP_FILTER_EXTRA,
+        ];
+
+  return {
+    filterMode,
+    filter: [
+      ...builtinFilter.filter(Boolean),
+      ...parseList(args.fakeip_filter),
+      // 内网域名需要返回真实 IP
+      ...(filterMode === 'blacklist' ? options.dnsOptions.internalDomains : []),
+    ],
+    range: args.fakeip_range || '198.18.0.1/16',
+    range6: args.fakeip_range6 || 'fdfe:dcba:9876::1/64',
   };
+}
 
-  if (fakeIpFilter) {
-    config['fake-ip-filter'] = fakeIpFilter;
+function buildDnsConfig({ mode }, options) {
+  const { dnsOptions, fakeIpOptions, ipv6Enabled } = options;
+  const nameserverPolicy = buildNameserverPolicy(dnsOptions, options);
+  const config = {
+    enable: true,
+    ipv6: ipv6Enabled,
+    'prefer-h3': true,
+    'enhanced-mode': mode,
+    'default-nameserver': dnsOptions['default-nameserver'],
+    nameserver: dnsOptions.nameserver,
+    ...(dnsOptions.fallback.length ? { fallback: dnsOptions.fallback } : {}),
+    ...(dnsOptions.fallback.length && dnsOptions['fallback-filter']
+      ? { 'fallback-filter': dnsOptions['fallback-filter'] }
+      : {}),
+    'proxy-server-nameserver': dnsOptions['proxy-server-nameserver'],
+    ...(Object.keys(nameserverPolicy).length
+      ? { 'nameserver-policy': nameserverPolicy }
+      : {}),
+  };
+
+  if (mode === 'fake-ip') {
+    Object.assign(config, {
+      'fake-ip-range': fakeIpOptions.range,
+      ...(ipv6Enabled ? { 'fake-ip-range6': fakeIpOptions.range6 } : {}),
+      'fake-ip-filter-mode': fakeIpOptions.filterMode,
+      'fake-ip-filter': fakeIpOptions.filter,
+    });
   }
 
   return config;
 }
 
-const dnsConfig = buildDnsConfig({ mode: 'redir-host' });
-const dnsConfigFakeIp = buildDnsConfig({
-  mode: 'fake-ip',
-  fakeIpFilter: [
-    'geosite:private',
-    'geosite:connectivity-check',
-    'geosite:cn',
-    'Mijia Cloud',
-    'dig.io.mi.com',
-    'localhost.ptlogin2.qq.com',
-    '*.icloud.com',
-    '*.stun.*.*',
-    '*.stun.*.*.*',
-  ],
-});
-
-const geoxURL = {
-  geoip:
-    'https://gcore.jsdelivr.net/gh/Loyalsoldier/v2ray-rules-dat@release/geoip.dat',
-  geosite:
-    'https://gcore.jsdelivr.net/gh/Loyalsoldier/v2ray-rules-dat@release/geosite.dat',
-  mmdb: 'https://gcore.jsdelivr.net/gh/Loyalsoldier/geoip@release/Country.mmdb',
-  asn: 'https://gcore.jsdelivr.net/gh/Loyalsoldier/geoip@release/GeoLite2-ASN.mmdb',
-};
+/**
+ * 解析 TUN 相关参数（仅在 full=true 时输出）。auto-redirect 与 strict-route 依赖 auto-route，
+ * fake-ip 模式下需要劫持 DNS，且 route-exclude-address 不能包含 fake-ip 地址段。
+ */
+function buildTunOptions(args, options) {
+  const { fullConfig, fakeIPEnabled, ipv6Enabled, fakeIpOptions, warn } =
+    options;
+  const enable = parseBool(args.tun);
+  if (enable && !fullConfig) {
+    warn('tun 仅在 full=true 时生效，已忽略');
+  }
+
+  const stack = args.tun_stack || 'mixed';
+
+  const autoRoute =
+    args.tun_auto_route === undefined ? true : parseBool(args.tun_auto_route);
+  let autoRedirect = parseBool(args.tun_auto_redirect);
+  let strictRoute = parseBool(args.tun_strict_route);
+  if (!autoRoute && (autoRedirect || strictRoute)) {
+    warn(
+      'tun_auto_redirect 与 tun_strict_route 需要启用 tun_auto_route，已忽略',
+    );
+    autoRedirect = false;
+    strictRoute = false;
+  }
+
+  let dnsHijack = parseList(args.tun_dns_hijack);
+  if (dnsHijack.length === 0) dnsHijack = ['any:53', 'tcp://any:53'];
+
+  const fakeIpRanges = fakeIPEnabled
+    ? [fakeIpOptions.range, ipv6Enabled && fakeIpOptions.range6].filter(Boolean)
+    : [];
+  const routeExclude = parseList(args.tun_route_exclude).filter((cidr) => {
+    if (!fakeIpRanges.some((range) => cidrOverlaps(cidr, range))) return true;
+    warn(`tun_route_exclude 中的 ${cidr} 与 fake-ip 地址段重叠，已忽略`);
+    return false;
+  });
 
-// 地区元数据
-const countriesMeta = {
+  return {
+    enable: enable && fullConfig,
+    stack,
+    autoRoute,
+    autoRedirect,
+    strictRoute,
+    dnsHijack,
+    routeExclude,
+    mtu: parseNumber(args.tun_mtu, 9000),
+  };
+}
+
+// 判断两个 CIDR 是否重叠，仅比较同为 IPv4 或同为 IPv6 的地址段
+function cidrOverlaps(a, b) {
+  const parse = (cidr) => {
+    const [address, prefix] = cidr.split('/');
+    const ipv6 = address.includes(':');
+    let bits;
+    if (ipv6) {
+      const [head, tail = ''] = address.split('::');
+      const headParts = head ? head.split(':') : [];
+      const tailParts = tail ? tail.split(':') : [];
+      const parts = address.includes('::')
+        ? [
+            ...headParts,
+            ...Array(8 - headParts.length - tailParts.length).fill('0'),
+            ...tailParts,
+          ]
+        : headParts;
+      bits = parts
+        .map((part) =>
+          parseInt(part || '0', 16)
+            .toString(2)
+            .padStart(16, '0'),
+        )
+        .join('');
+    } else {
+      bits = address
+        .split('.')
+        .map((part) => Number(part).toString(2).padStart(8, '0'))
+        .join('');
+    }
+    return {
+      ipv6,
+      bits,
+      prefix: prefix === undefined ? bits.length : Number(prefix),
+    };
+  };
+
+  const x = parse(a);
+  const y = parse(b);
+  if (x.ipv6 !== y.ipv6) return false;
+  const length = Math.min(x.prefix, y.prefix);
+  return x.bits.slice(0, length) === y.bits.slice(0, length);
+}
+
+function buildTunConfig({
+  stack,
+  autoRoute,
+  autoRedirect,
+  strictRoute,
+  dnsHijack,
+  routeExclude,
+  mtu,
+}) {
+  return {
+    enable: true,
+    stack,
+    'dns-hijack': dnsHijack,
+    'auto-route': autoRoute,
+    'auto-redirect': autoRedirect,
+    'auto-detect-interface': autoRoute,
+    'strict-route': strictRoute,
+    mtu,
+    ...(routeExclude.length ? { 'route-exclude-address': routeExclude } : {}),
+  };
+}
+
+// 允许局域网连接时的默认来源：仅私有地址
+const PRIVATE_ADDRESSES = [
+  '127.0.0.0/8',
+  '10.0.0.0/8',
+  '172.16.0.0/12',
+  '192.168.0.0/16',
+  '::1/128',
+  'fc00::/7',
+  'fe80::/10',
+];
+
+// 优先使用 crypto.getRandomValues，运行环境不提供时才退回 Math.random
+function generateSecret() {
+  const bytes = new Uint8Array(16);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(bytes);
+  } else {
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = Math.floor(Math.random() * 256);
+    }
+  }
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join(
+    '',
+  );
+}
+
+function isLoopbackAddress(address) {
+  return /^(127\.|localhost|\[::1\])/.test(address);
+}
+
+/**
+ * 解析完整配置中的入站、控制面板与安全相关参数（仅在 full=true 时使用）。
+ * 未设置 secret 时控制面板只监听本机；监听其他地址又未设置 secret 时自动生成并给出提示。
+ */
+function buildInboundOptions(args, { warn }) {
+  let secret = args.secret || '';
+  const controller = args.controller || (secret ? ':9999' : '127.0.0.1:9999');
+  if (secret === 'auto' || (!secret && !isLoopbackAddress(controller))) {
+    secret = generateSecret();
+    // 日志与生成的 YAML 开头都会写入提示，不输出 secret 本身
+    warn(
+      `已为控制面板 ${controller} 生成随机 secret，请在生成配置的 secret 字段中查看`,
+    );
+  }
+
+  const externalUI =
+    args.external_ui === true || args.external_ui === 'true'
+      ? 'ui'
+      : args.external_ui;
+
+  const authentication = parseList(args.authentication).filter((item) => {
+    if (/^[^:]+:.+$/.test(item)) return true;
+    warn('authentication 中存在格式无效的条目，已忽略');
+    return false;
+  });
+
+  const allowLan =
+    args.allow_lan === undefined ? true : parseBool(args.allow_lan);
+  const lanAllowedIps = parseList(args.lan_allowed_ips);
+
+  return {
+    'mixed-port': parseNumber(args.mixed_port, 7890),
+    ...(args.socks_port ? { 'socks-port': parseNumber(args.socks_port) } : {}),
+    'redir-port': parseNumber(args.redir_port, 7892),
+    'tproxy-port': parseNumber(args.tproxy_port, 7893),
+    'routing-mark': parseNumber(args.routing_mark, 7894),
+    'allow-lan': allowLan,
+    ...(allowLan
+      ? {
+          'bind-address': args.bind_address || '*',
+          'lan-allowed-ips': lanAllowedIps.length
+            ? lanAllowedIps
+            : PRIVATE_ADDRESSES,
+        }
+      : {}),
+    ...(authentication.length
+      ? {
+          authentication,
+          // 本机访问无需认证
+          'skip-auth-prefixes': ['127.0.0.1/32', '::1/128'],
+        }
+      : {}),
+    'log-level': args.log_level || 'info',
+    'find-process-mode': args.find_process_mode || 'off',
+    'external-controller': controller,
+    ...(secret ? { secret } : {}),
+    ...(externalUI
+      ? {
+          'external-ui': externalUI,
+          'external-ui-url':
+            args.external_ui_url ||
+            'https://github.com/MetaCubeX/metacubexd/archive/refs/heads/gh-pages.zip',
+        }
+      : {}),
+  };
+}
+
+// 常用地区：手工维护的关键词与图标，包含常见简称与城市名，按此顺序优先匹配
+// 关键词均为纯文本；ASCII 关键词只匹配完整的单词（前后不紧跟字母，数字不受限，如 HK01）
+const PRIMARY_REGIONS = {
   香港: {
-    pattern: '香港|港|HK|hk|Hong Kong|HongKong|hongkong|🇭🇰',
+    keywords: [
+      '香港',
+      '港',
+      'HK',
+      'hk',
+      'HKG',
+      'Hong Kong',
+      'HongKong',
+      'hongkong',
+      '🇭🇰',
+    ],
     icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Hong_Kong.png',
   },
   澳门: {
-    pattern: '澳门|MO|Macau|🇲🇴',
+    keywords: ['澳门', 'MO', 'Macau', 'Macao', '🇲🇴'],
     icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Macao.png',
   },
   台湾: {
-    pattern: '台|新北|彰化|TW|Taiwan|🇹🇼',
+    keywords: ['台', '新北', '彰化', 'TW', 'Taiwan', 'Taipei', '🇹🇼'],
     icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Taiwan.png',
   },
   新加坡: {
-    pattern: '新加坡|坡|狮城|SG|Singapore|🇸🇬',
+    keywords: ['新加坡', '坡', '狮城', 'SG', 'Singapore', '🇸🇬'],
     icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Singapore.png',
   },
   日本: {
-    pattern: '日本|川日|东京|大阪|泉日|埼玉|沪日|深日|JP|Japan|🇯🇵',
+    keywords: [
+      '日本',
+      '川日',
+      '东京',
+      '大阪',
+      '泉日',
+      '埼玉',
+      '沪日',
+      '深日',
+      'JP',
+      'JPN',
+      'Japan',
+      'Tokyo',
+      'Osaka',
+      '🇯🇵',
+    ],
     icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Japan.png',
   },
   韩国: {
-    pattern: 'KR|Korea|KOR|首尔|韩|韓|🇰🇷',
+    keywords: ['KR', 'Korea', 'KOR', '首尔', 'Seoul', '春川', '韩', '韓', '🇰🇷'],
     icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Korea.png',
   },
   美国: {
-    pattern: '美国|美|US|United States|🇺🇸',
+    keywords: [
+      '美国',
+      '美',
+      'US',
+      'USA',
+      'United States',
+      'America',
+      '洛杉矶',
+      'Los Angeles',
+      'LA',
+      'LAX',
+      '圣何塞',
+      'San Jose',
+      '硅谷',
+      'Silicon Valley',
+      '西雅图',
+      'Seattle',
+      '纽约',
+      'New York',
+      '新泽西',
+      'New Jersey',
+      '芝加哥',
+      'Chicago',
+      '达拉斯',
+      'Dallas',
+      '迈阿密',
+      'Miami',
+      '凤凰城',
+      'Phoenix',
+      '俄勒冈',
+      'Oregon',
+      '弗吉尼亚',
+      'Virginia',
+      '亚特兰大',
+      'Atlanta',
+      '🇺🇸',
+    ],
     icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/United_States.png',
   },
   加拿大: {
-    pattern: '加拿大|Canada|CA|🇨🇦',
+    keywords: [
+      '加拿大',
+      'Canada',
+      'CA',
+      '多伦多',
+      'Toronto',
+      '温哥华',
+      'Vancouver',
+      '蒙特利尔',
+      'Montreal',
+      '🇨🇦',
+    ],
     icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Canada.png',
   },
   英国: {
-    pattern: '英国|United Kingdom|UK|伦敦|London|🇬🇧',
+    keywords: [
+      '英国',
+      'United Kingdom',
+      'UK',
+      '伦敦',
+      'London',
+      '曼彻斯特',
+      'Manchester',
+      '🇬🇧',
+    ],
     icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/United_Kingdom.png',
   },
   澳大利亚: {
-    pattern: '澳洲|澳大利亚|AU|Australia|🇦🇺',
+    keywords: [
+      '澳洲',
+      '澳大利亚',
+      'AU',
+      'Australia',
+      '悉尼',
+      'Sydney',
+      '墨尔本',
+      'Melbourne',
+      '🇦🇺',
+    ],
     icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Australia.png',
   },
   德国: {
-    pattern: '德国|德|DE|Germany|🇩🇪',
+    keywords: [
+      '德国',
+      'DE',
+      'Germany',
+      '法兰克福',
+      'Frankfurt',
+      '柏林',
+      'Berlin',
+      '慕尼黑',
+      'Munich',
+      '杜塞尔多夫',
+      'Dusseldorf',
+      '🇩🇪',
+    ],
     icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Germany.png',
   },
   法国: {
-    pattern: '法国|法|FR|France|🇫🇷',
+    keywords: [
+      '法国',
+      'FR',
+      'France',
+      '巴黎',
+      'Paris',
+      '马赛',
+      'Marseille',
+      '🇫🇷',
+    ],
     icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/France.png',
   },
-  俄罗斯: {
-    pattern: '俄罗斯|俄|RU|Russia|🇷🇺',
-    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Russia.png',
+  俄罗斯: {
+    keywords: [
+      '俄罗斯',
+      'RU',
+      'Russia',
+      '莫斯科',
+      'Moscow',
+      '伯力',
+      'Khabarovsk',
+      '新西伯利亚',
+      'Novosibirsk',
+      '🇷🇺',
+    ],
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Russia.png',
+  },
+  泰国: {
+    keywords: ['泰国', 'TH', 'Thailand', '曼谷', 'Bangkok', '🇹🇭'],
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Thailand.png',
+  },
+  印度: {
+    keywords: ['印度', 'IN', 'India', '孟买', 'Mumbai', '🇮🇳'],
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/India.png',
+  },
+  马来西亚: {
+    keywords: [
+      '马来西亚',
+      '马来',
+      'MY',
+      'Malaysia',
+      '吉隆坡',
+      'Kuala Lumpur',
+      '🇲🇾',
+    ],
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Malaysia.png',
+  },
+};
+
+// ISO 3166-1 国家与地区：[代码, 中文名, 英文名]
+const ISO_COUNTRIES = [
+  ['AD', '安道尔', 'Andorra'],
+  ['AE', '阿联酋', 'United Arab Emirates'],
+  ['AF', '阿富汗', 'Afghanistan'],
+  ['AG', '安提瓜和巴布达', 'Antigua and Barbuda'],
+  ['AI', '安圭拉', 'Anguilla'],
+  ['AL', '阿尔巴尼亚', 'Albania'],
+  ['AM', '亚美尼亚', 'Armenia'],
+  ['AO', '安哥拉', 'Angola'],
+  ['AQ', '南极洲', 'Antarctica'],
+  ['AR', '阿根廷', 'Argentina'],
+  ['AS', '美属萨摩亚', 'American Samoa'],
+  ['AT', '奥地利', 'Austria'],
+  ['AU', '澳大利亚', 'Australia'],
+  ['AW', '阿鲁巴', 'Aruba'],
+  ['AX', '奥兰群岛', 'Aland Islands'],
+  ['AZ', '阿塞拜疆', 'Azerbaijan'],
+  ['BA', '波黑', 'Bosnia and Herzegovina'],
+  ['BB', '巴巴多斯', 'Barbados'],
+  ['BD', '孟加拉国', 'Bangladesh'],
+  ['BE', '比利时', 'Belgium'],
+  ['BF', '布基纳法索', 'Burkina Faso'],
+  ['BG', '保加利亚', 'Bulgaria'],
+  ['BH', '巴林', 'Bahrain'],
+  ['BI', '布隆迪', 'Burundi'],
+  ['BJ', '贝宁', 'Benin'],
+  ['BL', '圣巴泰勒米', 'Saint Barthelemy'],
+  ['BM', '百慕大', 'Bermuda'],
+  ['BN', '文莱', 'Brunei'],
+  ['BO', '玻利维亚', 'Bolivia'],
+  ['BQ', '荷兰加勒比区', 'Caribbean Netherlands'],
+  ['BR', '巴西', 'Brazil'],
+  ['BS', '巴哈马', 'Bahamas'],
+  ['BT', '不丹', 'Bhutan'],
+  ['BV', '布韦岛', 'Bouvet Island'],
+  ['BW', '博茨瓦纳', 'Botswana'],
+  ['BY', '白俄罗斯', 'Belarus'],
+  ['BZ', '伯利兹', 'Belize'],
+  ['CA', '加拿大', 'Canada'],
+  ['CC', '科科斯群岛', 'Cocos Islands'],
+  ['CD', '刚果（金）', 'DR Congo'],
+  ['CF', '中非', 'Central African Republic'],
+  ['CG', '刚果（布）', 'Republic of the Congo'],
+  ['CH', '瑞士', 'Switzerland'],
+  ['CI', '科特迪瓦', 'Ivory Coast'],
+  ['CK', '库克群岛', 'Cook Islands'],
+  ['CL', '智利', 'Chile'],
+  ['CM', '喀麦隆', 'Cameroon'],
+  ['CN', '中国', 'China'],
+  ['CO', '哥伦比亚', 'Colombia'],
+  ['CR', '哥斯达黎加', 'Costa Rica'],
+  ['CU', '古巴', 'Cuba'],
+  ['CV', '佛得角', 'Cape Verde'],
+  ['CW', '库拉索', 'Curacao'],
+  ['CX', '圣诞岛', 'Christmas Island'],
+  ['CY', '塞浦路斯', 'Cyprus'],
+  ['CZ', '捷克', 'Czechia'],
+  ['DE', '德国', 'Germany'],
+  ['DJ', '吉布提', 'Djibouti'],
+  ['DK', '丹麦', 'Denmark'],
+  ['DM', '多米尼克', 'Dominica'],
+  ['DO', '多米尼加', 'Dominican Republic'],
+  ['DZ', '阿尔及利亚', 'Algeria'],
+  ['EC', '厄瓜多尔', 'Ecuador'],
+  ['EE', '爱沙尼亚', 'Estonia'],
+  ['EG', '埃及', 'Egypt'],
+  ['EH', '西撒哈拉', 'Western Sahara'],
+  ['ER', '厄立特里亚', 'Eritrea'],
+  ['ES', '西班牙', 'Spain'],
+  ['ET', '埃塞俄比亚', 'Ethiopia'],
+  ['FI', '芬兰', 'Finland'],
+  ['FJ', '斐济', 'Fiji'],
+  ['FK', '福克兰群岛', 'Falkland Islands'],
+  ['FM', '密克罗尼西亚', 'Micronesia'],
+  ['FO', '法罗群岛', 'Faroe Islands'],
+  ['FR', '法国', 'France'],
+  ['GA', '加蓬', 'Gabon'],
+  ['GB', '英国', 'United Kingdom'],
+  ['GD', '格林纳达', 'Grenada'],
+  ['GE', '格鲁吉亚', 'Georgia'],
+  ['GF', '法属圭亚那', 'French Guiana'],
+  ['GG', '根西', 'Guernsey'],
+  ['GH', '加纳', 'Ghana'],
+  ['GI', '直布罗陀', 'Gibraltar'],
+  ['GL', '格陵兰', 'Greenland'],
+  ['GM', '冈比亚', 'Gambia'],
+  ['GN', '几内亚', 'Guinea'],
+  ['GP', '瓜德罗普', 'Guadeloupe'],
+  ['GQ', '赤道几内亚', 'Equatorial Guinea'],
+  ['GR', '希腊', 'Greece'],
+  ['GS', '南乔治亚和南桑威奇群岛', 'South Georgia'],
+  ['GT', '危地马拉', 'Guatemala'],
+  ['GU', '关岛', 'Guam'],
+  ['GW', '几内亚比绍', 'Guinea-Bissau'],
+  ['GY', '圭亚那', 'Guyana'],
+  ['HK', '香港', 'Hong Kong'],
+  ['HM', '赫德岛和麦克唐纳群岛', 'Heard Island'],
+  ['HN', '洪都拉斯', 'Honduras'],
+  ['HR', '克罗地亚', 'Croatia'],
+  ['HT', '海地', 'Haiti'],
+  ['HU', '匈牙利', 'Hungary'],
+  ['ID', '印度尼西亚', 'Indonesia'],
+  ['IE', '爱尔兰', 'Ireland'],
+  ['IL', '以色列', 'Israel'],
+  ['IM', '马恩岛', 'Isle of Man'],
+  ['IN', '印度', 'India'],
+  ['IO', '英属印度洋领地', 'British Indian Ocean Territory'],
+  ['IQ', '伊拉克', 'Iraq'],
+  ['IR', '伊朗', 'Iran'],
+  ['IS', '冰岛', 'Iceland'],
+  ['IT', '意大利', 'Italy'],
+  ['JE', '泽西', 'Jersey'],
+  ['JM', '牙买加', 'Jamaica'],
+  ['JO', '约旦', 'Jordan'],
+  ['JP', '日本', 'Japan'],
+  ['KE', '肯尼亚', 'Kenya'],
+  ['KG', '吉尔吉斯斯坦', 'Kyrgyzstan'],
+  ['KH', '柬埔寨', 'Cambodia'],
+  ['KI', '基里巴斯', 'Kiribati'],
+  ['KM', '科摩罗', 'Comoros'],
+  ['KN', '圣基茨和尼维斯', 'Saint Kitts and Nevis'],
+  ['KP', '朝鲜', 'North Korea'],
+  ['KR', '韩国', 'South Korea'],
+  ['KW', '科威特', 'Kuwait'],
+  ['KY', '开曼群岛', 'Cayman Islands'],
+  ['KZ', '哈萨克斯坦', 'Kazakhstan'],
+  ['LA', '老挝', 'Laos'],
+  ['LB', '黎巴嫩', 'Lebanon'],
+  ['LC', '圣卢西亚', 'Saint Lucia'],
+  ['LI', '列支敦士登', 'Liechtenstein'],
+  ['LK', '斯里兰卡', 'Sri Lanka'],
+  ['LR', '利比里亚', 'Liberia'],
+  ['LS', '莱索托', 'Lesotho'],
+  ['LT', '立陶宛', 'Lithuania'],
+  ['LU', '卢森堡', 'Luxembourg'],
+  ['LV', '拉脱维亚', 'Latvia'],
+  ['LY', '利比亚', 'Libya'],
+  ['MA', '摩洛哥', 'Morocco'],
+  ['MC', '摩纳哥', 'Monaco'],
+  ['MD', '摩尔多瓦', 'Moldova'],
+  ['ME', '黑山', 'Montenegro'],
+  ['MF', '法属圣马丁', 'Saint Martin'],
+  ['MG', '马达加斯加', 'Madagascar'],
+  ['MH', '马绍尔群岛', 'Marshall Islands'],
+  ['MK', '北马其顿', 'North Macedonia'],
+  ['ML', '马里', 'Mali'],
+  ['MM', '缅甸', 'Myanmar'],
+  ['MN', '蒙古', 'Mongolia'],
+  ['MO', '澳门', 'Macau'],
+  ['MP', '北马里亚纳群岛', 'Northern Mariana Islands'],
+  ['MQ', '马提尼克', 'Martinique'],
+  ['MR', '毛里塔尼亚', 'Mauritania'],
+  ['MS', '蒙特塞拉特', 'Montserrat'],
+  ['MT', '马耳他', 'Malta'],
+  ['MU', '毛里求斯', 'Mauritius'],
+  ['MV', '马尔代夫', 'Maldives'],
+  ['MW', '马拉维', 'Malawi'],
+  ['MX', '墨西哥', 'Mexico'],
+  ['MY', '马来西亚', 'Malaysia'],
+  ['MZ', '莫桑比克', 'Mozambique'],
+  ['NA', '纳米比亚', 'Namibia'],
+  ['NC', '新喀里多尼亚', 'New Caledonia'],
+  ['NE', '尼日尔', 'Niger'],
+  ['NF', '诺福克岛', 'Norfolk Island'],
+  ['NG', '尼日利亚', 'Nigeria'],
+  ['NI', '尼加拉瓜', 'Nicaragua'],
+  ['NL', '荷兰', 'Netherlands'],
+  ['NO', '挪威', 'Norway'],
+  ['NP', '尼泊尔', 'Nepal'],
+  ['NR', '瑙鲁', 'Nauru'],
+  ['NU', '纽埃', 'Niue'],
+  ['NZ', '新西兰', 'New Zealand'],
+  ['OM', '阿曼', 'Oman'],
+  ['PA', '巴拿马', 'Panama'],
+  ['PE', '秘鲁', 'Peru'],
+  ['PF', '法属波利尼西亚', 'French Polynesia'],
+  ['PG', '巴布亚新几内亚', 'Papua New Guinea'],
+  ['PH', '菲律宾', 'Philippines'],
+  ['PK', '巴基斯坦', 'Pakistan'],
+  ['PL', '波兰', 'Poland'],
+  ['PM', '圣皮埃尔和密克隆', 'Saint Pierre and Miquelon'],
+  ['PN', '皮特凯恩群岛', 'Pitcairn Islands'],
+  ['PR', '波多黎各', 'Puerto Rico'],
+  ['PS', '巴勒斯坦', 'Palestine'],
+  ['PT', '葡萄牙', 'Portugal'],
+  ['PW', '帕劳', 'Palau'],
+  ['PY', '巴拉圭', 'Paraguay'],
+  ['QA', '卡塔尔', 'Qatar'],
+  ['RE', '留尼汪', 'Reunion'],
+  ['RO', '罗马尼亚', 'Romania'],
+  ['RS', '塞尔维亚', 'Serbia'],
+  ['RU', '俄罗斯', 'Russia'],
+  ['RW', '卢旺达', 'Rwanda'],
+  ['SA', '沙特阿拉伯', 'Saudi Arabia'],
+  ['SB', '所罗门群岛', 'Solomon Islands'],
+  ['SC', '塞舌尔', 'Seychelles'],
+  ['SD', '苏丹', 'Sudan'],
+  ['SE', '瑞典', 'Sweden'],
+  ['SG', '新加坡', 'Singapore'],
+  ['SH', '圣赫勒拿', 'Saint Helena'],
+  ['SI', '斯洛文尼亚', 'Slovenia'],
+  ['SJ', '斯瓦尔巴和扬马延', 'Svalbard and Jan Mayen'],
+  ['SK', '斯洛伐克', 'Slovakia'],
+  ['SL', '塞拉利昂', 'Sierra Leone'],
+  ['SM', '圣马力诺', 'San Marino'],
+  ['SN', '塞内加尔', 'Senegal'],
+  ['SO', '索马里', 'Somalia'],
+  ['SR', '苏里南', 'Suriname'],
+  ['SS', '南苏丹', 'South Sudan'],
+  ['ST', '圣多美和普林西比', 'Sao Tome and Principe'],
+  ['SV', '萨尔瓦多', 'El Salvador'],
+  ['SX', '荷属圣马丁', 'Sint Maarten'],
+  ['SY', '叙利亚', 'Syria'],
+  ['SZ', '斯威士兰', 'Eswatini'],
+  ['TC', '特克斯和凯科斯群岛', 'Turks and Caicos Islands'],
+  ['TD', '乍得', 'Chad'],
+  ['TF', '法属南部领地', 'French Southern Territories'],
+  ['TG', '多哥', 'Togo'],
+  ['TH', '泰国', 'Thailand'],
+  ['TJ', '塔吉克斯坦', 'Tajikistan'],
+  ['TK', '托克劳', 'Tokelau'],
+  ['TL', '东帝汶', 'Timor-Leste'],
+  ['TM', '土库曼斯坦', 'Turkmenistan'],
+  ['TN', '突尼斯', 'Tunisia'],
+  ['TO', '汤加', 'Tonga'],
+  ['TR', '土耳其', 'Turkey'],
+  ['TT', '特立尼达和多巴哥', 'Trinidad and Tobago'],
+  ['TV', '图瓦卢', 'Tuvalu'],
+  ['TW', '台湾', 'Taiwan'],
+  ['TZ', '坦桑尼亚', 'Tanzania'],
+  ['UA', '乌克兰', 'Ukraine'],
+  ['UG', '乌干达', 'Uganda'],
+  ['UM', '美国本土外小岛屿', 'United States Minor Outlying Islands'],
+  ['US', '美国', 'United States'],
+  ['UY', '乌拉圭', 'Uruguay'],
+  ['UZ', '乌兹别克斯坦', 'Uzbekistan'],
+  ['VA', '梵蒂冈', 'Vatican City'],
+  ['VC', '圣文森特和格林纳丁斯', 'Saint Vincent and the Grenadines'],
+  ['VE', '委内瑞拉', 'Venezuela'],
+  ['VG', '英属维尔京群岛', 'British Virgin Islands'],
+  ['VI', '美属维尔京群岛', 'U.S. Virgin Islands'],
+  ['VN', '越南', 'Vietnam'],
+  ['VU', '瓦努阿图', 'Vanuatu'],
+  ['WF', '瓦利斯和富图纳', 'Wallis and Futuna'],
+  ['WS', '萨摩亚', 'Samoa'],
+  ['YE', '也门', 'Yemen'],
+  ['YT', '马约特', 'Mayotte'],
+  ['ZA', '南非', 'South Africa'],
+  ['ZM', '赞比亚', 'Zambia'],
+  ['ZW', '津巴布韦', 'Zimbabwe'],
+];
+
+// 各大洲包含的 ISO 代码
+const CONTINENTS = {
+  // 亚洲
+  AS: 'AE AF AM AZ BD BH BN BT CC CN CX CY GE HK ID IL IN IO IQ IR JO JP KG KH KP KR KW KZ LA LB LK MM MN MO MV MY NP OM PH PK PS QA SA SG SY TH TJ TL TM TR TW UZ VN YE',
+  // 欧洲
+  EU: 'AD AL AT AX BA BE BG BY CH CZ DE DK EE ES FI FO FR GB GG GI GR HR HU IE IM IS IT JE LI LT LU LV MC MD ME MK MT NL NO PL PT RO RS RU SE SI SJ SK SM UA VA',
+  // 非洲
+  AF: 'AO BF BI BJ BW CD CF CG CI CM CV DJ DZ EG EH ER ET GA GH GM GN GQ GW KE KM LR LS LY MA MG ML MR MU MW MZ NA NE NG RE RW SC SD SH SL SN SO SS ST SZ TD TG TN TZ UG YT ZA ZM ZW',
+  // 北美洲
+  NA: 'AG AI AW BB BL BM BQ BS BZ CA CR CU CW DM DO GD GL GP GT HN HT JM KN KY LC MF MQ MS MX NI PA PM PR SV SX TC TT US VC VG VI',
+  // 南美洲
+  SA: 'AR BO BR CL CO EC FK GF GY PE PY SR UY VE',
+  // 大洋洲
+  OC: 'AS AU CK FJ FM GU KI MH MP NC NF NR NU NZ PF PG PN PW SB TK TO TV UM VU WF WS',
+  // 南极洲
+  AN: 'AQ BV GS HM TF',
+};
+
+// 个别地区不使用默认生成的关键词
+const REGION_KEYWORD_OVERRIDES = {
+  // 中国大陆节点多为回国线路；不匹配 中国/China，避免误伤「中国香港」「China Telecom」等名称
+  CN: ['中国大陆', '回国', '🇨🇳'],
+};
+
+// 常见机房城市，追加到默认生成的关键词之后
+const REGION_CITY_KEYWORDS = {
+  TR: ['伊斯坦布尔', 'Istanbul'],
+  NL: ['阿姆斯特丹', 'Amsterdam'],
+  BR: ['圣保罗', 'Sao Paulo', 'São Paulo'],
+};
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// 由 ISO 代码得到旗帜 emoji（两个区域指示符号）
+function flagEmoji(code) {
+  return String.fromCodePoint(
+    ...[...code.toUpperCase()].map((char) => 0x1f1e6 + char.charCodeAt(0) - 65),
+  );
+}
+
+// 兼容 (?i) 前缀的写法：JS RegExp 不支持该语法，转换为 i 标志
+function compilePattern(pattern) {
+  const caseInsensitive = pattern.startsWith('(?i)');
+  return new RegExp(
+    caseInsensitive ? pattern.slice(4) : pattern,
+    caseInsensitive ? 'i' : '',
+  );
+}
+
+function isValidPattern(pattern) {
+  try {
+    compilePattern(pattern);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// 自定义 pattern 可以 (?i) 开头表示不区分大小写，拼接匹配模式时需要把该前缀移到最前面
+function stripCaseFlag(pattern) {
+  return pattern.replace(/^\(\?i\)/, '');
+}
+
+const ASCII_KEYWORD = /^[\x20-\x7e]+$/;
+// 两三位的大写代码，如 HK、JPN
+const CODE_KEYWORD = /^[A-Z]{2,3}$/;
+
+/**
+ * 地区关键词区分大小写：代码只匹配大写，避免 de、my、la 等普通单词被误识别为地区；
+ * 其余英文关键词（国家、城市全称）同时匹配全小写与全大写的写法，如 INDONESIA、tokyo。
+ */
+function keywordVariants(keyword) {
+  if (!ASCII_KEYWORD.test(keyword) || CODE_KEYWORD.test(keyword)) {
+    return [keyword];
+  }
+  return [keyword, keyword.toLowerCase(), keyword.toUpperCase()];
+}
+
+/**
+ * 将关键词列表转换为正则表达式。
+ * ASCII 关键词两侧加上字母边界，避免 IN 匹配 INDONESIA、MO 匹配 MOSCOW、US 匹配 USA 以外的单词。
+ */
+function keywordsToPattern(keywords) {
+  const variants = [...new Set(keywords.flatMap(keywordVariants))];
+  const ascii = variants.filter((keyword) => ASCII_KEYWORD.test(keyword));
+  const others = variants.filter((keyword) => !ASCII_KEYWORD.test(keyword));
+  return buildList(
+    others.map(escapeRegExp).join('|'),
+    ascii.length > 0 &&
+      `(?<![A-Za-z])(?:${ascii.map(escapeRegExp).join('|')})(?![A-Za-z])`,
+  ).join('|');
+}
+
+// 中转节点的标记：紧跟在中转标记之前、via 之后的地区是中转地，箭头之前的地区是入口，均不是出口地区
+const RELAY_SUFFIXES = keywordsToPattern([
+  '中转',
+  '中轉',
+  '中继',
+  '中繼',
+  'Relay',
+  'Transit',
+]);
+const RELAY_PREFIXES = keywordsToPattern(['Via']);
+const ROUTE_ARROWS = ['→', '->', '=>'].map(escapeRegExp).join('|');
+
+/**
+ * 只在地区关键词表示出口时匹配：「新加坡 SG 香港中转」「美国 via 香港」中的 香港、
+ * 「东京→洛杉矶」中的 东京 都不匹配。
+ */
+function exitPattern(pattern) {
+  return `(?<!(?:${RELAY_PREFIXES}).*)(?:${pattern})(?![\\s_-]*(?:${RELAY_SUFFIXES}))(?!.*(?:${ROUTE_ARROWS}))`;
+}
+
+/**
+ * 生成地区的匹配模式，地区分组的 filter 与 detectCountry 使用同一模式：
+ * 地区需作为出口出现（见 exitPattern），并排除 overlaps 中优先级更高地区的关键词，
+ * 如「印度」排除「印度尼西亚」、「美」排除「美属萨摩亚」。
+ */
+function buildRegionFilter(pattern, overlaps) {
+  const caseFlag = pattern.startsWith('(?i)') ? '(?i)' : '';
+  const exclusion =
+    overlaps.length > 0
+      ? `^(?!.*(?:${overlaps.map(escapeRegExp).join('|')})).*`
+      : '';
+  return `${caseFlag}${exclusion}${exitPattern(stripCaseFlag(pattern))}`;
+}
+
+/**
+ * 按特异性调整地区顺序：若地区 A 的某个关键词能被地区 B 的正则匹配，
+ * 如「印度尼西亚」之于「印度」、「美属萨摩亚」之于「美」、「南苏丹」之于「苏丹」，
+ * 则把 A 提到 B 之前，其余保持原有顺序。出现循环时按原有顺序处理。
+ */
+function sortBySpecificity(entries) {
+  const items = entries.map(([name, region]) => ({
+    name,
+    region,
+    regex: compilePattern(region.pattern),
+  }));
+  const predecessors = new Map(items.map((item) => [item.name, []]));
+  for (const a of items) {
+    for (const b of items) {
+      if (a !== b && (a.region.keywords || []).some((k) => b.regex.test(k))) {
+        predecessors.get(b.name).push(a.name);
+      }
+    }
+  }
+
+  // 按原有顺序放置，放置前先把更具体的地区提到它前面
+  const sorted = [];
+  const visited = new Set();
+  const byName = new Map(items.map((item) => [item.name, item]));
+  const place = (item) => {
+    if (visited.has(item.name)) return;
+    visited.add(item.name);
+    for (const name of predecessors.get(item.name)) place(byName.get(name));
+    sorted.push([item.name, item.region]);
+  };
+  items.forEach(place);
+  return sorted;
+}
+
+/**
+ * 构建地区元数据：{ 中文名: { code, en, flag, continent, keywords, pattern, icon } }。
+ * @param {object|null} customRegions - 用户通过 regions 参数传入的地区定义。
+ * @returns {object} - 键的顺序即匹配优先级。
+ *
+ * 匹配顺序为：用户自定义地区 → 常用地区 → 其余 ISO 国家与地区，后两者再按特异性调整。
+ * 自动生成的关键词只包含中文名、英文名与旗帜 emoji，不含两位字母代码，
+ * 否则 NF（奈飞解锁）、AI 之类的标注会误匹配到诺福克岛、安圭拉等地区。
+ * 用户定义中 pattern 为正则，会整体替换匹配模式；aliases 为关键词，用 | 分隔，追加到现有关键词之后。
+ */
+function buildCountriesMeta(customRegions, { warn }) {
+  const continentOf = {};
+  for (const [continent, codes] of Object.entries(CONTINENTS)) {
+    for (const code of codes.split(' ')) continentOf[code] = continent;
+  }
+
+  const isoMeta = {};
+  for (const [code, name, en] of ISO_COUNTRIES) {
+    const flag = flagEmoji(code);
+    isoMeta[name] = {
+      code,
+      en,
+      flag,
+      continent: continentOf[code],
+      keywords: REGION_KEYWORD_OVERRIDES[code] || [
+        name,
+        en,
+        flag,
+        ...(REGION_CITY_KEYWORDS[code] || []),
+      ],
+      icon: `https://flagcdn.com/w80/${code.toLowerCase()}.png`,
+    };
+  }
+
+  const meta = {};
+  for (const [name, region] of Object.entries(PRIMARY_REGIONS)) {
+    meta[name] = { ...isoMeta[name], ...region };
+  }
+  for (const [name, region] of Object.entries(isoMeta)) {
+    if (!meta[name]) meta[name] = region;
+  }
+  for (const region of Object.values(meta)) {
+    region.pattern = keywordsToPattern(region.keywords);
+  }
+
+  const custom = {};
+  const regions =
+    customRegions && typeof customRegions === 'object' ? customRegions : {};
+  for (const [name, region] of Object.entries(regions)) {
+    if (!region || typeof region !== 'object') {
+      warn(`已忽略自定义地区 ${name}：定义不是对象`);
+      continue;
+    }
+    const { aliases, ...fields } = region;
+    const merged = { ...meta[name], ...fields, custom: true };
+    if (aliases) {
+      merged.keywords = [
+        ...(meta[name] ? meta[name].keywords : []),
+        ...parseList(aliases, '|'),
+      ];
+    }
+    if (!region.pattern) {
+      merged.pattern = merged.keywords && keywordsToPattern(merged.keywords);
+    }
+    if (merged.code && !merged.flag) merged.flag = flagEmoji(merged.code);
+    if (merged.code && !merged.continent) {
+      merged.continent = continentOf[merged.code];
+    }
+
+    if (!merged.pattern || !isValidPattern(merged.pattern)) {
+      warn(`已忽略自定义地区 ${name}：匹配模式无效`);
+      continue;
+    }
+    custom[name] = merged;
+  }
+
+  // 用户自定义地区始终优先匹配
+  const rest = Object.entries(meta).filter(([name]) => !custom[name]);
+  return { ...custom, ...Object.fromEntries(sortBySpecificity(rest)) };
+}
+
+/**
+ * 按匹配优先级生成各地区的 filter 与正则（见 buildRegionFilter）。
+ * 排除的关键词取自排在前面、且能被本地区匹配的地区关键词，与 sortBySpecificity 的判断一致。
+ */
+function buildCountryMatchers(countriesMeta) {
+  const entries = Object.entries(countriesMeta);
+  return entries.map(([country, meta], index) => {
+    const regex = compilePattern(meta.pattern);
+    const overlaps = entries
+      .slice(0, index)
+      .flatMap(([, other]) => other.keywords || [])
+      .filter((keyword) => regex.test(keyword))
+      .flatMap(keywordVariants);
+    const filter = buildRegionFilter(meta.pattern, [...new Set(overlaps)]);
+    return { country, filter, regex: compilePattern(filter) };
+  });
+}
+
+/**
+ * 返回节点名称所属的全部地区，按匹配优先级排列。
+ * 只按出口地区判断，名称中只有中转地或入口的节点不属于任何地区；
+ * 名称中有多个出口地区时（如「香港 日本 双出口」）属于每个地区，与地区分组的 filter 一致。
+ */
+function matchCountries(name, { countryMatchers }) {
+  return countryMatchers
+    .filter(({ regex }) => regex.test(name))
+    .map(({ country }) => country);
+}
+
+// 重命名等只需要一个地区时，取优先级最高的地区，无匹配时返回 null
+function detectCountry(name, options) {
+  return matchCountries(name, options)[0] || null;
+}
+
+// 按名称关键词识别的特殊节点类别，关键词可通过 `${id}_keywords` 参数覆盖（写法同正则，如 家宽|星链）
+// landing 与 lowcost 有专门的分组逻辑；其余类别在检测到节点时各自生成一个 url-test 分组
+const NODE_CLASSES = [
+  {
+    id: 'landing',
+    name: PROXY_GROUPS.LANDING,
+    keywords: '家宽|家庭|家庭宽带|商宽|商业宽带|星链|Starlink|落地',
+  },
+  {
+    id: 'lowcost',
+    name: PROXY_GROUPS.LOW_COST,
+    keywords: '0\\.[0-5]|低倍率|省流|大流量|实验性',
+  },
+  {
+    id: 'dedicated',
+    name: '专线节点',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Speedtest.png',
+    keywords: 'IPLC|IEPL|专线',
+  },
+  {
+    id: 'gaming',
+    name: '游戏节点',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Game.png',
+    keywords: '游戏|Game',
+  },
+];
+
+function buildNodeClasses(args, { warn }) {
+  return NODE_CLASSES.reduce((acc, nodeClass) => {
+    // 统一不区分大小写，去掉用户可能附带的 (?i) 前缀
+    let keywords = String(
+      args[`${nodeClass.id}_keywords`] || nodeClass.keywords,
+    ).replace(/^\(\?i\)/, '');
+    if (!isValidPattern(keywords)) {
+      warn(`参数 ${nodeClass.id}_keywords 不是合法的正则，已使用默认值`);
+      keywords = nodeClass.keywords;
+    }
+    acc[nodeClass.id] = {
+      ...nodeClass,
+      keywords,
+      filter: `(?i)${keywords}`,
+      regex: new RegExp(keywords, 'i'),
+    };
+    return acc;
+  }, {});
+}
+
+/**
+ * 返回订阅中出现的节点类别 id。
+ */
+function detectNodeClasses(config, { nodeClasses }) {
+  const names = (config.proxies || []).map((proxy) => proxy.name || '');
+  return new Set(
+    Object.values(nodeClasses)
+      .filter(({ regex }) => names.some((name) => regex.test(name)))
+      .map(({ id }) => id),
+  );
+}
+
+// 订阅中常见的信息类伪节点（流量、到期时间、官网等）
+const DEFAULT_NODE_BLACKLIST =
+  '剩余流量|已用流量|套餐到期|到期时间|过期时间|下次重置|重置时间|官网|官方网站|Expire|Traffic';
+
+/**
+ * 默认剔除信息节点，node_blacklist=false 时关闭；自定义正则替换默认关键词，
+ * 以 + 开头时追加到默认关键词之后，如 +测试|Test。去重默认关闭，避免误删订阅中的节点。
+ */
+function buildNodeOptions(args, { warn }) {
+  const value = args.node_blacklist;
+  let blacklist = DEFAULT_NODE_BLACKLIST;
+  if (value === false || /^(false|0|none)$/i.test(String(value))) {
+    blacklist = null;
+  } else if (
+    value !== undefined &&
+    value !== true &&
+    !/^(true|1|\+)?$/i.test(String(value).trim())
+  ) {
+    const custom = String(value)
+      .trim()
+      .replace(/^\(\?i\)/, '');
+    blacklist = custom.startsWith('+')
+      ? `${DEFAULT_NODE_BLACKLIST}|${custom.slice(1)}`
+      : custom;
+    if (!isValidPattern(blacklist)) {
+      warn('参数 node_blacklist 不是合法的正则，已使用默认值');
+      blacklist = DEFAULT_NODE_BLACKLIST;
+    }
+  }
+
+  return {
+    blacklist: blacklist ? new RegExp(blacklist, 'i') : null,
+    dedupe: parseBool(args.dedupe),
+    rename: parseBool(args.rename),
+  };
+}
+
+/**
+ * 将节点名称规范为「🇭🇰 香港 01」的格式，节点类别的关键词（如 家宽、0.5）保留在名称末尾，
+ * 以便后续的落地、低倍率等分组仍能识别。未识别出地区的节点保持原名。
+ * 改名记录写入 aliases（旧名 → 新名）。
+ */
+function renameNodes(proxies, aliases, options) {
+  const { countriesMeta, nodeClasses } = options;
+  const counters = Object.create(null);
+
+  return proxies.map((proxy) => {
+    const name = proxy.name || '';
+    const country = detectCountry(name, options);
+    if (!country) return proxy;
+
+    counters[country] = (counters[country] || 0) + 1;
+    const { flag } = countriesMeta[country];
+    const tags = Object.values(nodeClasses)
+      .map(({ regex }) => (name.match(regex) || [])[0])
+      .filter(Boolean);
+    const newName = [
+      flag,
+      country,
+      String(counters[country]).padStart(2, '0'),
+      ...new Set(tags),
+    ]
+      .filter(Boolean)
+      .join(' ');
+
+    // 重名节点以第一个为准
+    if (!aliases.has(name)) aliases.set(name, newName);
+    return { ...proxy, name: newName };
+  });
+}
+
+// 按键名排序后序列化，使字段顺序不同的相同取值得到相同结果
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 判断重复节点使用的键：除名称与 Sub-Store 附加的 _ 开头字段外的全部字段，
+ * 服务器相同但 SNI、path、UUID、密码等传输或认证参数不同的节点不视为重复。
+ */
+function nodeIdentity(proxy) {
+  const fields = Object.fromEntries(
+    Object.entries(proxy).filter(
+      ([key]) => key !== 'name' && !key.startsWith('_'),
+    ),
+  );
+  return stableStringify(fields);
+}
+
+/**
+ * 节点预处理：按需剔除黑名单节点、去除重复节点与统一重命名，
+ * 最后为重名节点追加序号（内核不接受重名节点）。后续的分组都基于处理后的节点生成。
+ * 引用了被去重或改名节点的 dialer-proxy 会同步更新。
+ */
+function preprocessNodes(proxies, options) {
+  const { blacklist, dedupe, rename } = options.nodeOptions;
+  const aliases = new Map();
+  let result = proxies.filter(
+    (proxy) => !blacklist || !blacklist.test(proxy.name || ''),
+  );
+
+  if (dedupe) {
+    const endpoints = new Map();
+    result = result.filter((proxy) => {
+      const { name, server } = proxy;
+      // 缺少服务器信息的节点无法判断是否重复，原样保留
+      if (!server) return true;
+      const key = nodeIdentity(proxy);
+      if (!endpoints.has(key)) {
+        endpoints.set(key, name);
+        return true;
+      }
+      if (name !== endpoints.get(key)) aliases.set(name, endpoints.get(key));
+      return false;
+    });
+  }
+
+  if (rename) result = renameNodes(result, aliases, options);
+
+  const seen = Object.create(null);
+  result = result.map((proxy) => {
+    const name = proxy.name || '';
+    seen[name] = (seen[name] || 0) + 1;
+    return seen[name] > 1 ? { ...proxy, name: `${name} ${seen[name]}` } : proxy;
+  });
+
+  if (aliases.size === 0) return result;
+  const resolve = (name) => {
+    // 去重后再改名时需要连续替换，如 HK 02 → 香港 01 → 🇭🇰 香港 01
+    const visited = new Set();
+    while (aliases.has(name) && !visited.has(name)) {
+      visited.add(name);
+      name = aliases.get(name);
+    }
+    return name;
+  };
+  return result.map((proxy) =>
+    aliases.has(proxy['dialer-proxy'])
+      ? { ...proxy, 'dialer-proxy': resolve(proxy['dialer-proxy']) }
+      : proxy,
+  );
+}
+
+/**
+ * 解析落地节点与前置分组的对应关系，格式为 关键词:分组，多条用 ; 分隔，如 香港:香港节点;Starlink:日本。
+ * 关键词按正则匹配节点名称，分组可写地区名或分组名。
+ */
+function parseLandingDialers(value, { warn }) {
+  const dialers = [];
+  for (const item of parseList(value)) {
+    const index = item.lastIndexOf(':');
+    const pattern = item.slice(0, index).trim();
+    const group = item.slice(index + 1).trim();
+    if (index <= 0 || !group || !isValidPattern(pattern)) {
+      warn(`landing_dialer 中的 ${item} 格式无效，已忽略`);
+      continue;
+    }
+    dialers.push({ regex: compilePattern(pattern), group });
+  }
+  return dialers;
+}
+
+/**
+ * 为落地节点注入 dialer-proxy：默认使用「前置代理」，匹配 landing_dialer 时使用对应的分组。
+ * 已声明 dialer-proxy 的节点保持不变；目标分组只能是不包含落地节点的前置候选，避免形成环。
+ */
+function applyLandingDialers(
+  proxies,
+  frontGroups,
+  { nodeClasses, landingDialers, warn },
+) {
+  const resolveGroup = (group) => {
+    if (frontGroups.includes(group)) return group;
+    if (frontGroups.includes(`${group}${NODE_SUFFIX}`)) {
+      return `${group}${NODE_SUFFIX}`;
+    }
+    warn(
+      `landing_dialer 中的分组 ${group} 不存在或不可作为前置，已使用${PROXY_GROUPS.FRONT}`,
+    );
+    return PROXY_GROUPS.FRONT;
+  };
+
+  return proxies.map((proxy) => {
+    const name = proxy.name || '';
+    if (proxy['dialer-proxy'] || !nodeClasses.landing.regex.test(name)) {
+      return proxy;
+    }
+    const dialer = landingDialers.find(({ regex }) => regex.test(name));
+    return {
+      ...proxy,
+      'dialer-proxy': dialer ? resolveGroup(dialer.group) : PROXY_GROUPS.FRONT,
+    };
+  });
+}
+
+function buildNodeClassGroups(detectedClasses, options) {
+  return Object.values(options.nodeClasses)
+    .filter(
+      ({ id }) =>
+        id !== 'landing' && id !== 'lowcost' && detectedClasses.has(id),
+    )
+    .map((nodeClass) => ({
+      name: nodeClass.name,
+      icon: nodeClass.icon,
+      type: 'url-test',
+      ...nodeMembers(options),
+      filter: nodeClass.filter,
+      ...landingExclusion(options),
+      ...buildHealthCheck('url-test', options),
+    }));
+}
+
+/**
+ * 启用 landing 时，低倍率、专线等按类别筛选的分组排除落地节点：
+ * 这些分组可作为前置代理，包含落地节点会形成 dialer-proxy 循环。
+ */
+function landingExclusion({ landing, nodeClasses }) {
+  return landing ? { 'exclude-filter': nodeClasses.landing.filter } : {};
+}
+
+/**
+ * 判断节点是否参与地区等常规分组：低倍率节点不参与，启用 landing 时落地节点也不参与。
+ * 与地区分组的 exclude-filter 保持一致。
+ */
+function isRegularNode(name, { landing, nodeClasses }) {
+  return !(
+    nodeClasses.lowcost.regex.test(name) ||
+    (landing && nodeClasses.landing.regex.test(name))
+  );
+}
+
+// 与 isRegularNode 对应的 exclude-filter
+function buildRegularExcludeFilter({ landing, nodeClasses }) {
+  return landing
+    ? `(?i)${nodeClasses.landing.keywords}|${nodeClasses.lowcost.keywords}`
+    : nodeClasses.lowcost.filter;
+}
+
+function parseCountries(config, options) {
+  const proxies = config.proxies || [];
+
+  // 用来累计各国节点数
+  const countryCounts = Object.create(null);
+
+  // 逐个节点进行匹配与统计
+  for (const proxy of proxies) {
+    const name = proxy.name || '';
+
+    if (!isRegularNode(name, options)) continue;
+
+    // 与地区分组的 filter 一致，有多个出口地区的节点计入每个地区
+    for (const country of matchCountries(name, options)) {
+      countryCounts[country] = (countryCounts[country] || 0) + 1;
+    }
+  }
+
+  // 将结果对象转成数组形式
+  const result = [];
+  for (const [country, count] of Object.entries(countryCounts)) {
+    result.push({ country, count });
+  }
+
+  return result; // [{ country: '日本', count: 12 }, ...]
+}
+
+// 地区分组的 filter，与 matchCountries 的判断一致
+function buildCountryFilter(country, { countryMatchers }) {
+  return countryMatchers.find((matcher) => matcher.country === country).filter;
+}
+
+/**
+ * 解析健康检查相关参数，用于 url-test、fallback 与 load-balance 组。
+ * timeout 与 expected_status 未设置时不输出，使用内核默认值。
+ */
+function buildHealthCheckOptions(args, { warn }) {
+  const strategy = args.lb_strategy || 'consistent-hashing';
+
+  let expectedStatus = args.expected_status;
+  // 如 204、200/302、200-299，* 表示任意状态码
+  if (
+    expectedStatus &&
+    !/^(\*|\d{3}(-\d{3})?(\/\d{3}(-\d{3})?)*)$/.test(expectedStatus)
+  ) {
+    warn(`expected_status 格式无效，已忽略：${expectedStatus}`);
+    expectedStatus = undefined;
+  }
+
+  return {
+    url: args.test_url || 'https://cp.cloudflare.com/generate_204',
+    interval: parseNumber(args.interval, 60),
+    fallbackInterval: parseNumber(args.fallback_interval, 180),
+    tolerance: parseNumber(args.tolerance, 20),
+    timeout: parseNumber(args.timeout, 0),
+    lazy: parseBool(args.lazy),
+    expectedStatus,
+    strategy,
+  };
+}
+
+/**
+ * 生成代理组的健康检查字段：tolerance 只用于 url-test，strategy 只用于 load-balance。
+ */
+function buildHealthCheck(
+  type,
+  { healthCheckOptions },
+  interval = healthCheckOptions.interval,
+) {
+  const { url, tolerance, lazy, timeout, expectedStatus, strategy } =
+    healthCheckOptions;
+  return {
+    ...(type === 'load-balance' ? { strategy } : {}),
+    url,
+    interval,
+    ...(type === 'url-test' ? { tolerance } : {}),
+    lazy,
+    ...(timeout > 0 ? { timeout } : {}),
+    ...(expectedStatus ? { 'expected-status': expectedStatus } : {}),
+  };
+}
+
+function buildCountryProxyGroups(countries, options) {
+  const groups = [];
+  const excludeFilter = buildRegularExcludeFilter(options);
+  const groupType = options.loadBalance ? 'load-balance' : 'url-test';
+
+  for (const country of countries) {
+    const meta = options.countriesMeta[country];
+    if (!meta) continue;
+
+    const groupConfig = {
+      name: `${country}${NODE_SUFFIX}`,
+      icon: meta.icon,
+      ...nodeMembers(options),
+      filter: buildCountryFilter(country, options),
+      'exclude-filter': excludeFilter,
+      type: groupType,
+      ...buildHealthCheck(groupType, options),
+    };
+
+    groups.push(groupConfig);
+  }
+
+  return groups;
+}
+
+// 地区聚合分组：由成员地区分组组成，成员按 countriesMeta 中的大洲或代码筛选
+const REGION_AGGREGATES = [
+  {
+    id: 'asia',
+    name: '亚洲节点',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Global.png',
+    match: (meta) => meta.continent === 'AS',
+  },
+  {
+    id: 'europe',
+    name: '欧洲节点',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Global.png',
+    match: (meta) => meta.continent === 'EU',
   },
-  泰国: {
-    pattern: '泰国|泰|TH|Thailand|🇹🇭',
-    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Thailand.png',
+  {
+    id: 'americas',
+    name: '美洲节点',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Global.png',
+    match: (meta) => meta.continent === 'NA' || meta.continent === 'SA',
   },
-  印度: {
-    pattern: '印度|IN|India|🇮🇳',
-    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/India.png',
+  {
+    id: 'oceania',
+    name: '大洋洲节点',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Global.png',
+    match: (meta) => meta.continent === 'OC',
   },
-  马来西亚: {
-    pattern: '马来西亚|马来|MY|Malaysia|🇲🇾',
-    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Malaysia.png',
+  {
+    id: 'africa',
+    name: '非洲节点',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Global.png',
+    match: (meta) => meta.continent === 'AF',
   },
-};
+  {
+    // 除中国大陆外的全部地区，供流媒体等在中国大陆不可用的服务使用
+    id: 'streaming',
+    name: '流媒体节点',
+    icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/GlobalMedia.png',
+    match: (meta) => meta.code !== 'CN',
+  },
+];
+
+/**
+ * 解析地区聚合分组参数。
+ * aggregates 为聚合分组 id 列表（用 , 分隔），all/true 表示全部；aggregate_type 为 url-test（默认）或 fallback。
+ */
+function buildAggregateOptions(args, { warn }) {
+  const ids = parseList(args.aggregates, ',');
+  const all = ids.some((id) => ['all', 'true', '1'].includes(id));
+  for (const id of ids) {
+    if (
+      !['all', 'true', 'false', '0', '1'].includes(id) &&
+      !REGION_AGGREGATES.some((aggregate) => aggregate.id === id)
+    ) {
+      warn(`未知的地区聚合分组 ${id}，已忽略`);
+    }
+  }
 
-function hasLowCost(config) {
-  const lowCostRegex = /0\.[0-5]|低倍率|省流|大流量|实验性/i;
-  return (config.proxies || []).some((proxy) => lowCostRegex.test(proxy.name));
+  const type = args.aggregate_type === 'fallback' ? 'fallback' : 'url-test';
+  return {
+    aggregates: REGION_AGGREGATES.filter(
+      (aggregate) => all || ids.includes(aggregate.id),
+    ),
+    type,
+  };
 }
 
-function parseCountries(config) {
-  const proxies = config.proxies || [];
-  const ispRegex = /家宽|家庭|家庭宽带|商宽|商业宽带|星链|Starlink|落地/i; // 需要排除的关键字
+/**
+ * 为启用的地区聚合分组生成 url-test / fallback 组，成员为实际生成的地区分组。
+ * 没有任何成员的聚合分组不会生成。
+ */
+function buildRegionAggregateGroups(countries, options) {
+  const { aggregates, type } = options.aggregateOptions;
+  const groups = [];
+  for (const aggregate of aggregates) {
+    const members = countries
+      .filter((country) => aggregate.match(options.countriesMeta[country]))
+      .map((country) => `${country}${NODE_SUFFIX}`);
+    if (members.length === 0) continue;
 
-  // 用来累计各国节点数
-  const countryCounts = Object.create(null);
+    const groupConfig = {
+      name: aggregate.name,
+      icon: aggregate.icon,
+      type,
+      proxies: members,
+      ...buildHealthCheck(type, options),
+    };
 
-  // 构建地区正则表达式：区分大小写（避免 node 里的 "de" 误匹配到 "DE" -> 德国）
-  const compiledRegex = {};
-  for (const [country, meta] of Object.entries(countriesMeta)) {
-    // 兼容旧配置：如果 pattern 仍以 (?i) 开头，这里会剥离掉以避免 JS RegExp 报错
-    compiledRegex[country] = new RegExp(meta.pattern.replace(/^\(\?i\)/, ''));
+    groups.push(groupConfig);
   }
+  return groups;
+}
 
-  // 逐个节点进行匹配与统计
-  for (const proxy of proxies) {
-    const name = proxy.name || '';
+/**
+ * 解析多订阅（机场）合并相关参数。
+ * sources 为来源名称列表（用 ; 分隔），auto 表示使用 Sub-Store 组合订阅附带的来源信息；
+ * source_countries 为是否按来源再拆分地区分组；prefer_source 为优先使用的来源。
+ */
+function buildSourceOptions(args) {
+  const list = parseList(args.sources);
+  return {
+    enabled: list.length > 0,
+    auto: list.length === 1 && list[0] === 'auto',
+    sources: list,
+    countries: parseBool(args.source_countries),
+    prefer: args.prefer_source || null,
+  };
+}
 
-    // 过滤掉不想统计的 ISP 节点
-    if (ispRegex.test(name)) continue;
+/**
+ * 获取节点的来源：优先使用 Sub-Store 组合订阅写入的 _subDisplayName/_subName，
+ * 其次匹配名称前缀（如「机场A 香港 01」「[机场A] 香港 01」）。
+ */
+function getNodeSource(proxy, sources) {
+  const tagged = proxy._subDisplayName || proxy._subName;
+  if (tagged && sources.includes(tagged)) return tagged;
+  const name = proxy.name || '';
+  return (
+    sources.find((source) =>
+      new RegExp(`^[\\[【(（]?${escapeRegExp(source)}(?![A-Za-z0-9])`).test(
+        name,
+      ),
+    ) || null
+  );
+}
 
-    // 找到第一个匹配到的地区就计数并终止本轮
-    for (const [country, regex] of Object.entries(compiledRegex)) {
-      if (regex.test(name)) {
-        countryCounts[country] = (countryCounts[country] || 0) + 1;
-        break; // 避免一个节点同时累计到多个地区
-      }
+/**
+ * 重命名会去掉名称中的来源前缀，因此在预处理前按原名识别来源，
+ * 写入 Sub-Store 组合订阅同样使用的 _subDisplayName，改名后仍可据此分组。
+ */
+function tagNodeSources(proxies, sources) {
+  return proxies.map((proxy) => {
+    const source = getNodeSource(proxy, sources);
+    if (!source || source === (proxy._subDisplayName || proxy._subName)) {
+      return proxy;
     }
+    return { ...proxy, _subDisplayName: source };
+  });
+}
+
+// 将 prefer 指定的来源排到最前面
+function orderSources(names, prefer, { warn }) {
+  if (prefer && !names.includes(prefer)) {
+    warn(`prefer_source 中的来源 ${prefer} 不存在，已忽略`);
   }
+  return names.includes(prefer)
+    ? [prefer, ...names.filter((name) => name !== prefer)]
+    : names;
+}
 
-  // 将结果对象转成数组形式
-  const result = [];
-  for (const [country, count] of Object.entries(countryCounts)) {
-    result.push({ country, count });
+/**
+ * 按来源划分节点，返回 [{ source, nodes }]，prefer 指定的来源排在最前。
+ * 只统计参与常规分组的节点，没有节点的来源不会返回。
+ */
+function groupNodesBySource(proxies, options) {
+  const { auto, sources, prefer } = options.sourceOptions;
+  const names = auto
+    ? [
+        ...new Set(
+          proxies
+            .map((proxy) => proxy._subDisplayName || proxy._subName)
+            .filter(Boolean),
+        ),
+      ]
+    : sources;
+
+  const ordered = orderSources(names, prefer, options);
+
+  const nodes = Object.create(null);
+  for (const proxy of proxies) {
+    const name = proxy.name || '';
+    if (!isRegularNode(name, options)) continue;
+    const source = getNodeSource(proxy, names);
+    if (source) (nodes[source] = nodes[source] || []).push(name);
   }
 
-  return result; // [{ country: 'Japan', count: 12 }, ...]
+  return ordered
+    .filter((source) => {
+      if (nodes[source]) return true;
+      options.warn(`来源 ${source} 没有匹配的节点，已跳过`);
+      return false;
+    })
+    .map((source) => ({ source, nodes: nodes[source] }));
 }
 
-function buildCountryProxyGroups({ countries, landing, loadBalance }) {
-  const groups = [];
-  const baseExcludeFilter = '0\\.[0-5]|低倍率|省流|大流量|实验性';
-  const landingExcludeFilter =
-    '(?i)家宽|家庭|家庭宽带|商宽|商业宽带|星链|Starlink|落地';
-  const groupType = loadBalance ? 'load-balance' : 'url-test';
-
-  for (const country of countries) {
-    const meta = countriesMeta[country];
-    if (!meta) continue;
+/**
+ * 为每个来源生成 url-test 组，启用 source_countries 时再按地区拆分为「来源 地区节点」。
+ * 分组直接列出成员节点，不依赖节点名称中是否带有来源前缀；
+ * proxy-providers 模式下来源即订阅（{ source, provider }），分组通过 use 与 filter 引用。
+ */
+function buildSourceProxyGroups(sourceNodes, countries, options) {
+  const sourceGroups = [];
+  const sourceCountryGroups = [];
 
-    const groupConfig = {
-      name: `${country}${NODE_SUFFIX}`,
-      icon: meta.icon,
-      'include-all': true,
-      filter: meta.pattern,
-      'exclude-filter': landing
-        ? `${landingExcludeFilter}|${baseExcludeFilter}`
-        : baseExcludeFilter,
-      type: groupType,
+  for (const { source, nodes, provider } of sourceNodes) {
+    const providerMembers = provider && {
+      use: [provider],
+      'exclude-filter': buildRegularExcludeFilter(options),
     };
+    sourceGroups.push({
+      name: `${source}${NODE_SUFFIX}`,
+      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Airport.png',
+      type: 'url-test',
+      ...(provider ? providerMembers : { proxies: nodes }),
+      ...buildHealthCheck('url-test', options),
+    });
 
-    if (!loadBalance) {
-      Object.assign(groupConfig, {
-        url: 'https://cp.cloudflare.com/generate_204',
-        interval: 60,
-        tolerance: 20,
-        lazy: false,
+    if (!options.sourceOptions.countries) continue;
+    for (const country of countries) {
+      const members = provider
+        ? {
+            ...providerMembers,
+            filter: buildCountryFilter(country, options),
+          }
+        : {
+            proxies: nodes.filter((name) =>
+              matchCountries(name, options).includes(country),
+            ),
+          };
+      if (members.proxies && members.proxies.length === 0) continue;
+      sourceCountryGroups.push({
+        name: `${source} ${country}${NODE_SUFFIX}`,
+        icon: options.countriesMeta[country].icon,
+        type: 'url-test',
+        ...members,
+        ...buildHealthCheck('url-test', options),
       });
     }
+  }
 
-    groups.push(groupConfig);
+  return { sourceGroups, sourceCountryGroups };
+}
+
+/**
+ * 解析 proxy-providers 模式的参数：subscriptions 为订阅链接列表（用 ; 分隔），
+ * 可写作 链接>名称（默认 provider1、provider2...）。传入订阅链接时，分组通过 use 引用订阅，
+ * 内核会按 provider_interval 自行更新节点，无需重新生成整个配置。
+ */
+function buildProxyProviderOptions(args, { countriesMeta, warn }) {
+  const names = new Set();
+  const subscriptions = [];
+  parseList(args.subscriptions).forEach((item, index) => {
+    const [url, name = `provider${index + 1}`] = item
+      .split('>')
+      .map((part) => part.trim());
+    if (!/^https?:\/\//.test(url) || names.has(name)) {
+      warn(`subscriptions 中的 ${item} 无效或名称重复，已忽略`);
+      return;
+    }
+    names.add(name);
+    subscriptions.push({ name, url });
+  });
+
+  let regions = parseList(args.provider_regions);
+  for (const region of regions) {
+    if (!countriesMeta[region]) {
+      warn(`provider_regions 中的地区 ${region} 不存在，已忽略`);
+    }
   }
+  regions = regions.filter((region) => countriesMeta[region]);
 
-  return groups;
+  return {
+    subscriptions,
+    // 无法预先统计节点，默认为自定义地区与常用地区生成分组
+    regions: regions.length
+      ? regions
+      : Object.keys(countriesMeta).filter(
+          (country) =>
+            countriesMeta[country].custom || PRIMARY_REGIONS[country],
+        ),
+    interval: parseNumber(args.provider_interval, 86400),
+  };
 }
 
-function buildProxyGroups({
-  landing,
-  countries,
-  countryProxyGroups,
-  lowCost,
-  defaultProxies,
-  defaultProxiesDirect,
-  defaultSelector,
-  defaultFallback,
-}) {
-  // 查看是否有特定地区的节点
-  const hasTW = countries.includes('台湾');
-  const hasHK = countries.includes('香港');
-  const hasUS = countries.includes('美国');
+// 分组成员来源：默认包含全部内联节点，proxy-providers 模式下引用全部订阅
+function nodeMembers({ providerMode, proxyProviderOptions }) {
+  return providerMode
+    ? { use: proxyProviderOptions.subscriptions.map(({ name }) => name) }
+    : { 'include-all': true };
+}
+
+function buildProxyProviders(
+  { subscriptions, interval },
+  { healthCheckOptions, nodeOptions },
+) {
+  const { url, lazy, timeout, expectedStatus } = healthCheckOptions;
+  return subscriptions.reduce((acc, subscription) => {
+    acc[subscription.name] = {
+      type: 'http',
+      url: subscription.url,
+      path: `./proxy_providers/${subscription.name.replace(/[\\/:*?"<>|\s]/g, '_')}.yaml`,
+      interval,
+      'health-check': {
+        enable: true,
+        url,
+        interval: healthCheckOptions.interval,
+        lazy,
+        ...(timeout > 0 ? { timeout } : {}),
+        ...(expectedStatus ? { 'expected-status': expectedStatus } : {}),
+      },
+      // 节点预处理中的黑名单在这里由内核过滤
+      ...(nodeOptions.blacklist
+        ? { 'exclude-filter': `(?i)${nodeOptions.blacklist.source}` }
+        : {}),
+    };
+    return acc;
+  }, {});
+}
 
-  // 排除落地节点、选择节点和故障转移以避免死循环
+function buildProxyGroups(
+  {
+    countries,
+    countryProxyGroups,
+    aggregateProxyGroups,
+    nodeClassGroups,
+    sourceGroups,
+    sourceCountryGroups,
+    lowCost,
+    defaultProxies,
+    defaultProxiesDirect,
+    defaultSelector,
+    defaultFallback,
+  },
+  options,
+) {
+  const { landing, nodeClasses, healthCheckOptions } = options;
+  // 排除落地节点、故障转移和手动选择（包含落地节点本身）以避免死循环，
+  // 前置代理自身已包含除落地节点外的所有节点，可直接手动选择
   const frontProxySelector = landing
     ? defaultSelector.filter(
         (name) =>
-          name !== PROXY_GROUPS.LANDING && name !== PROXY_GROUPS.FALLBACK,
+          name !== PROXY_GROUPS.LANDING &&
+          name !== PROXY_GROUPS.FALLBACK &&
+          name !== PROXY_GROUPS.MANUAL,
       )
     : [];
 
@@ -692,17 +3680,16 @@ function buildProxyGroups({
     {
       name: PROXY_GROUPS.MANUAL,
       icon: 'https://gcore.jsdelivr.net/gh/shindgewongxj/WHATSINStash@master/icon/select.png',
-      'include-all': true,
+      ...nodeMembers(options),
       type: 'select',
     },
     landing
       ? {
-          name: '前置代理',
+          name: PROXY_GROUPS.FRONT,
           icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Area.png',
           type: 'select',
-          'include-all': true,
-          'exclude-filter':
-            '(?i)家宽|家庭|家庭宽带|商宽|商业宽带|星链|Starlink|落地',
+          ...nodeMembers(options),
+          'exclude-filter': nodeClasses.landing.filter,
           proxies: frontProxySelector,
         }
       : null,
@@ -711,239 +3698,239 @@ function buildProxyGroups({
           name: PROXY_GROUPS.LANDING,
           icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Airport.png',
           type: 'select',
-          'include-all': true,
-          filter: '(?i)家宽|家庭|家庭宽带|商宽|商业宽带|星链|Starlink|落地',
+          ...nodeMembers(options),
+          filter: nodeClasses.landing.filter,
         }
       : null,
     {
       name: PROXY_GROUPS.FALLBACK,
       icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Bypass.png',
       type: 'fallback',
-      url: 'https://cp.cloudflare.com/generate_204',
       proxies: defaultFallback,
-      interval: 180,
-      tolerance: 20,
-      lazy: false,
-    },
-    {
-      name: '🔒 私有网络',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Private.png',
-      type: 'select',
-      proxies: [PROXY_GROUPS.DIRECT],
-    },
-    {
-      name: '🛑 广告域名',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/AdBlack.png',
-      type: 'select',
-      proxies: ['REJECT', 'REJECT-DROP', PROXY_GROUPS.DIRECT],
-    },
-    {
-      name: '📋 Trackerslist',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/AdBlack.png',
-      type: 'select',
-      proxies: ['REJECT', 'REJECT-DROP', PROXY_GROUPS.DIRECT],
-    },
-    {
-      name: '⬇️ 直连软件',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Terminal.png',
-      type: 'select',
-      proxies: [PROXY_GROUPS.DIRECT],
-    },
-    {
-      name: '🪟 微软服务',
-      icon: 'https://gcore.jsdelivr.net/gh/hazicy/override-rules@master/icons/Microsoft_Copilot.png',
-      type: 'select',
-      proxies: defaultProxiesDirect,
-    },
-    {
-      name: '🍎 苹果服务',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Apple.png',
-      type: 'select',
-      proxies: defaultProxiesDirect,
-    },
-    {
-      name: '🇬 谷歌服务',
-      icon: 'https://gcore.jsdelivr.net/gh/hazicy/override-rules@master/icons/Google.png',
-      type: 'select',
-      proxies: defaultProxiesDirect,
-    },
-    {
-      name: '🎮 游戏服务',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Game.png',
-      type: 'select',
-      proxies: defaultProxiesDirect,
-    },
-    {
-      name: '🎥 奈飞视频',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Netflix.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '📽️ 迪士尼+',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Disney.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '🎞️ Max',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/HBO.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '🎬 Prime Video',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Prime.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '🍎 Apple TV+',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Apple.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '📹 油管视频',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/YouTube.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '🎵 TikTok',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/TikTok.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '📺 哔哩哔哩',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/bilibili.png',
-      type: 'select',
-      proxies:
-        hasTW && hasHK
-          ? [PROXY_GROUPS.DIRECT, '台湾节点', '香港节点']
-          : defaultProxiesDirect,
-    },
-    {
-      name: '🎶 Spotify',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Spotify.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '🌍 国外媒体',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/GlobalMedia.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '🎮 游戏平台',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Game.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '🤖 AI 平台',
-      icon: 'https://gcore.jsdelivr.net/gh/hazicy/override-rules@master/icons/ChatGPT.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '📈 网络测试',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Speedtest.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '🧱 代理顶级域名',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Proxy.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '🧱 代理域名',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Proxy.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: '🛡️ 直连域名',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Direct.png',
-      type: 'select',
-      proxies: [PROXY_GROUPS.DIRECT],
-    },
-    {
-      name: '🀄️ 直连 IP',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Direct.png',
-      type: 'select',
-      proxies: [PROXY_GROUPS.DIRECT],
-    },
-    {
-      name: '📲 电报消息',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Telegram.png',
-      type: 'select',
-      proxies: defaultProxies,
-    },
-    {
-      name: PROXY_GROUPS.DIRECT,
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Direct.png',
-      type: 'select',
-      proxies: ['DIRECT', PROXY_GROUPS.SELECT],
-    },
-    {
-      name: '🐟 漏网之鱼',
-      icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Final.png',
-      type: 'select',
-      proxies: defaultProxies,
+      ...buildHealthCheck(
+        'fallback',
+        options,
+        healthCheckOptions.fallbackInterval,
+      ),
     },
+    ...buildServiceGroups(
+      options.enabledServices,
+      {
+        countries,
+        regionGroups: [
+          ...sourceGroups,
+          ...aggregateProxyGroups,
+          ...countryProxyGroups,
+          ...sourceCountryGroups,
+        ].map((group) => group.name),
+        lists: {
+          [POLICY.PROXY]: defaultProxies,
+          [POLICY.DIRECT]: defaultProxiesDirect,
+          [POLICY.DIRECT_ONLY]: [PROXY_GROUPS.DIRECT],
+          [POLICY.REJECT]: ['REJECT', 'REJECT-DROP', PROXY_GROUPS.DIRECT],
+        },
+      },
+      options,
+    ),
     lowCost
       ? {
           name: PROXY_GROUPS.LOW_COST,
           icon: 'https://gcore.jsdelivr.net/gh/Koolson/Qure@master/IconSet/Color/Lab.png',
           type: 'url-test',
-          url: 'https://cp.cloudflare.com/generate_204',
-          'include-all': true,
-          filter: '(?i)0\\.[0-5]|低倍率|省流|大流量|实验性',
+          ...nodeMembers(options),
+          filter: nodeClasses.lowcost.filter,
+          ...landingExclusion(options),
+          ...buildHealthCheck('url-test', options),
         }
       : null,
+    ...nodeClassGroups,
+    ...sourceGroups,
+    ...aggregateProxyGroups,
     ...countryProxyGroups,
+    ...sourceCountryGroups,
   ].filter(Boolean); // 过滤掉 null 值
 }
 
-function main(config) {
-  const resultConfig = { proxies: config.proxies };
-  // 解析地区与低倍率信息
-  const countryInfo = parseCountries(resultConfig); // [{ country, count }]
-  const lowCost = hasLowCost(resultConfig);
+/**
+ * 按参数计算由参数决定的全部选项，返回的 options 会传给生成配置的各个函数。
+ * 各项按顺序计算，后面的解析函数可以读取 options 中已经计算好的选项。
+ * @param {object} args - 原始参数对象，写法与 $arguments 相同。
+ * @param {object} reporter - 提示收集器，见 createReporter。
+ * @returns {object} - 本次转换使用的选项，每个转换器各自持有一份。
+ */
+function configure(args, { warn }) {
+  const options = { warn };
+  const rawArgs = normalizeArguments(args, options);
+  Object.assign(options, { rawArgs }, buildFeatureFlags(rawArgs));
+  options.customRuleOptions = buildCustomRuleOptions(rawArgs, options);
+  options.downloadOptions = buildDownloadOptions(rawArgs);
+  options.enabledServices = selectServices(SERVICES, rawArgs, options);
+  options.serviceRules = routeServiceRules(SERVICES, options.enabledServices);
+  options.ruleProviders = {
+    // fakeip-filter 不对应任何服务组，供 DNS 配置使用
+    'fakeip-filter': applyDownloadOptions(
+      dustinProvider('fakeip-filter'),
+      options,
+    ),
+    ...Object.fromEntries(
+      options.serviceRules.map((rule) => [
+        rule.name,
+        applyDownloadOptions(rule.provider, options),
+      ]),
+    ),
+  };
+  options.baseRules = [
+    ...options.serviceRules.map((rule) =>
+      buildList(
+        'RULE-SET',
+        rule.name,
+        rule.target,
+        rule.noResolve && 'no-resolve',
+      ).join(','),
+    ),
+    `MATCH,${PROXY_GROUPS.FINAL}`,
+  ];
+  options.preferredRegions = parsePreferredRegions(
+    rawArgs.prefer_regions,
+    options,
+  );
+  options.snifferConfig = buildSnifferConfig(rawArgs, options);
+  options.dnsOptions = buildDnsOptions(rawArgs, options);
+  options.fakeIpOptions = buildFakeIpOptions(rawArgs, options);
+  options.dnsConfig = buildDnsConfig({ mode: 'redir-host' }, options);
+  options.dnsConfigFakeIp = buildDnsConfig({ mode: 'fake-ip' }, options);
+  options.tunOptions = buildTunOptions(rawArgs, options);
+  options.geoxURL = Object.fromEntries(
+    Object.entries({
+      geoip:
+        'https://gcore.jsdelivr.net/gh/Loyalsoldier/v2ray-rules-dat@release/geoip.dat',
+      geosite:
+        'https://gcore.jsdelivr.net/gh/Loyalsoldier/v2ray-rules-dat@release/geosite.dat',
+      mmdb: 'https://gcore.jsdelivr.net/gh/Loyalsoldier/geoip@release/Country.mmdb',
+      asn: 'https://gcore.jsdelivr.net/gh/Loyalsoldier/geoip@release/GeoLite2-ASN.mmdb',
+    }).map(([key, url]) => [key, mirrorURL(url, options)]),
+  );
+  options.countriesMeta = buildCountriesMeta(
+    parseJSON(rawArgs.regions, 'regions', options),
+    options,
+  );
+  options.countryMatchers = buildCountryMatchers(options.countriesMeta);
+  options.nodeClasses = buildNodeClasses(rawArgs, options);
+  options.nodeOptions = buildNodeOptions(rawArgs, options);
+  options.landingDialers = parseLandingDialers(rawArgs.landing_dialer, options);
+  options.healthCheckOptions = buildHealthCheckOptions(rawArgs, options);
+  options.aggregateOptions = buildAggregateOptions(rawArgs, options);
+  options.sourceOptions = buildSourceOptions(rawArgs);
+  options.proxyProviderOptions = buildProxyProviderOptions(rawArgs, options);
+  options.providerMode = options.proxyProviderOptions.subscriptions.length > 0;
+  return options;
+}
+
+function convertConfig(config, options) {
+  const {
+    landing,
+    fullConfig,
+    keepAliveEnabled,
+    fakeIPEnabled,
+    quicEnabled,
+    ipv6Enabled,
+    countryThreshold,
+    nodeOptions,
+    sourceOptions,
+    proxyProviderOptions,
+    providerMode,
+    downloadOptions,
+    tunOptions,
+  } = options;
+  let proxies = config.proxies;
+  if (proxies && nodeOptions.rename && sourceOptions.enabled) {
+    proxies = tagNodeSources(proxies, sourceOptions.sources);
+  }
+  const resultConfig = {
+    proxies: proxies ? preprocessNodes(proxies, options) : proxies,
+  };
+  // 解析地区与低倍率信息；proxy-providers 模式下无法预先统计节点，地区由 provider_regions 决定
+  const countryInfo = providerMode
+    ? proxyProviderOptions.regions.map((country) => ({
+        country,
+        count: Infinity,
+      }))
+    : parseCountries(resultConfig, options); // [{ country, count }]
+  const detectedClasses = providerMode
+    ? new Set()
+    : detectNodeClasses(resultConfig, options);
+  const lowCost = detectedClasses.has('lowcost');
+  const nodeClassGroups = buildNodeClassGroups(detectedClasses, options);
   const countryGroupNames = getCountryGroupNames(countryInfo, countryThreshold);
   const countries = stripNodeSuffix(countryGroupNames);
 
+  // 多订阅合并时按来源生成分组
+  const sourceNodes = providerMode
+    ? orderSources(
+        proxyProviderOptions.subscriptions.map(({ name }) => name),
+        sourceOptions.prefer,
+        options,
+      ).map((name) => ({ source: name, provider: name }))
+    : groupNodesBySource(resultConfig.proxies || [], options);
+  const { sourceGroups, sourceCountryGroups } = sourceOptions.enabled
+    ? buildSourceProxyGroups(sourceNodes, countries, options)
+    : { sourceGroups: [], sourceCountryGroups: [] };
+
+  // 地区聚合分组（亚洲、欧洲等），需要先于基础数组确定名称
+  const aggregateProxyGroups = buildRegionAggregateGroups(countries, options);
+  const aggregateGroupNames = aggregateProxyGroups.map((group) => group.name);
+
   // 构建基础数组
   const {
     defaultProxies,
     defaultProxiesDirect,
     defaultSelector,
     defaultFallback,
-  } = buildBaseLists({ landing, lowCost, countryGroupNames });
-
-  // 为地区构建对应的 url-test / load-balance 组
-  const countryProxyGroups = buildCountryProxyGroups({
-    countries,
+  } = buildBaseLists({
     landing,
-    loadBalance,
+    lowCost,
+    countryGroupNames,
+    aggregateGroupNames,
+    nodeClassGroupNames: nodeClassGroups.map((group) => group.name),
+    sourceGroupNames: sourceGroups.map((group) => group.name),
+    sourceCountryGroupNames: sourceCountryGroups.map((group) => group.name),
   });
 
+  // 为地区构建对应的 url-test / load-balance 组
+  const countryProxyGroups = buildCountryProxyGroups(countries, options);
+
   // 生成代理组
-  const proxyGroups = buildProxyGroups({
-    landing,
-    countries,
-    countryProxyGroups,
-    lowCost,
-    defaultProxies,
-    defaultProxiesDirect,
-    defaultSelector,
-    defaultFallback,
-  });
+  const proxyGroups = buildProxyGroups(
+    {
+      countries,
+      countryProxyGroups,
+      aggregateProxyGroups,
+      nodeClassGroups,
+      sourceGroups,
+      sourceCountryGroups,
+      lowCost,
+      defaultProxies,
+      defaultProxiesDirect,
+      defaultSelector,
+      defaultFallback,
+    },
+    options,
+  );
+
+  // 落地节点自动通过前置代理连接（proxy-providers 模式下节点不在配置中，无法逐个设置）
+  if (landing && !providerMode && resultConfig.proxies) {
+    const frontGroup = proxyGroups.find(
+      (group) => group.name === PROXY_GROUPS.FRONT,
+    );
+    resultConfig.proxies = applyLandingDialers(
+      resultConfig.proxies,
+      [
+        PROXY_GROUPS.FRONT,
+        ...frontGroup.proxies.filter((name) => name !== 'DIRECT'),
+      ],
+      options,
+    );
+  }
 
   // 完整书写 Global 代理组以确保兼容性
   const globalProxies = proxyGroups.map((item) => item.name);
@@ -955,38 +3942,138 @@ function main(config) {
     proxies: globalProxies,
   });
 
-  const finalRules = buildRules({ quicEnabled });
+  const policies = [
+    ...BUILTIN_POLICIES,
+    ...proxyGroups.map((group) => group.name),
+    ...(resultConfig.proxies || []).map((proxy) => proxy.name),
+  ];
+  const { providers, customRules } = buildRuleProviders(
+    options.customRuleOptions,
+    policies,
+    options,
+  );
+  const finalRules = buildRules(
+    {
+      quicEnabled,
+      customRules,
+      policies,
+      providers: Object.keys(providers),
+    },
+    options,
+  );
 
   if (fullConfig)
     Object.assign(resultConfig, {
-      'mixed-port': 7890,
-      'redir-port': 7892,
-      'tproxy-port': 7893,
-      'routing-mark': 7894,
-      'allow-lan': true,
+      ...buildInboundOptions(options.rawArgs, options),
       ipv6: ipv6Enabled,
       mode: 'rule',
       'unified-delay': true,
       'tcp-concurrent': true,
-      'find-process-mode': 'off',
-      'log-level': 'info',
       'geodata-loader': 'standard',
-      'external-controller': ':9999',
       'disable-keep-alive': !keepAliveEnabled,
       profile: {
         'store-selected': true,
       },
+      ...(tunOptions.enable ? { tun: buildTunConfig(tunOptions) } : {}),
     });
 
+  if (providerMode) {
+    resultConfig['proxy-providers'] = buildProxyProviders(
+      proxyProviderOptions,
+      options,
+    );
+  }
+
   Object.assign(resultConfig, {
     'proxy-groups': proxyGroups,
-    'rule-providers': ruleProviders,
+    'rule-providers': applyRuleProviderProxy(
+      providers,
+      downloadOptions.ruleProxy,
+      policies,
+      options,
+    ),
     rules: finalRules,
-    sniffer: snifferConfig,
-    dns: fakeIPEnabled ? dnsConfigFakeIp : dnsConfig,
+    sniffer: options.snifferConfig,
+    dns: fakeIPEnabled ? options.dnsConfigFakeIp : options.dnsConfig,
     'geodata-mode': true,
-    'geox-url': geoxURL,
+    ...(downloadOptions.geoInterval > 0
+      ? {
+          'geo-auto-update': true,
+          'geo-update-interval': downloadOptions.geoInterval,
+        }
+      : {}),
+    'geox-url': options.geoxURL,
   });
 
   return resultConfig;
 }
+
+/**
+ * 根据参数创建转换器。参数在创建时解析为转换器自己的 options，转换器之间不共享任何状态，
+ * 同一进程中可以交替使用以不同参数创建的转换器。
+ * @param {object} args - 原始参数对象，写法与 $arguments 相同。
+ * @param {object} settings - { logger }，logger(message) 接收提示信息，默认输出到日志，为 null 时不输出。
+ * @returns {object} - { main, run }：main(config) 返回生成的配置；
+ *   run(config) 返回 { config, warnings }，warnings 为参数解析与本次生成过程中的提示。
+ */
+function createConverter(args = {}, { logger = logWarning } = {}) {
+  const reporter = createReporter(logger);
+  const options = configure(args, reporter);
+  const run = (config) => {
+    // 每次生成各自收集提示，参数解析阶段的提示在每次结果中都会包含
+    const runReporter = createReporter(logger);
+    const result = convertConfig(config, {
+      ...options,
+      warn: runReporter.warn,
+    });
+    return {
+      config: result,
+      warnings: [...reporter.warnings, ...runReporter.warnings],
+    };
+  };
+  return {
+    main: (config) => run(config).config,
+    run,
+  };
+}
+
+/**
+ * 生成配置的入口，参数显式传入，可在同一进程中多次调用。
+ * @param {object} config - 订阅配置，需包含 proxies。
+ * @param {object} args - 参数对象，写法与 $arguments 相同，如 { landing: true }。
+ * @param {object} settings - 同 createConverter，如 { logger: null }。
+ * @returns {object} - 生成的配置。
+ */
+function buildConfig(config, args = {}, settings = {}) {
+  return createConverter(args, settings).main(config);
+}
+
+// Sub-Store 入口：读取 $arguments 并生成配置
+function main(config) {
+  return buildConfig(
+    config,
+    typeof $arguments !== 'undefined' ? $arguments : {},
+  );
+}
+
+// 作为 CommonJS 模块载入时导出，ESM 可通过 convert.mjs 引入
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    buildConfig,
+    createConverter,
+    normalizeArguments,
+    parseRule,
+    ARGUMENT_SCHEMA,
+    // 仅供测试使用的内部函数，不属于公开接口
+    internals: {
+      createReporter,
+      configure,
+      parseCountries,
+      detectNodeClasses,
+      getCountryGroupNames,
+      isRegularNode,
+      buildRegularExcludeFilter,
+      preprocessNodes,
+    },
+  };
+}
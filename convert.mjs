@@ -0,0 +1,13 @@
+/**
+ * convert.js 的 ESM 入口
+ * convert.js 需要保持为可直接在 Sub-Store 中运行的脚本，因此以 CommonJS 形式导出，此处转为 ESM。
+ */
+import convert from './convert.js';
+
+export const {
+  buildConfig,
+  createConverter,
+  normalizeArguments,
+  ARGUMENT_SCHEMA,
+} = convert;
+export default convert;
@@ -0,0 +1,605 @@
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+const { buildConfig, internals } = require('../convert');
+const { loadConvert, loadOptions, loadSandbox, loadFixture, runConvert, plain, groupByName } = require('./helpers');
+const { validateConfig, compileFilter } = require('../yaml_generator/validator');
+
+const airport = loadFixture('airport');
+const landingFixture = loadFixture('landing');
+
+// 信息节点默认剔除，另外开启去重
+const PREPROCESS = { dedupe: 'true' };
+
+const LANDING_KEYWORDS = '家宽|家庭|家庭宽带|商宽|商业宽带|星链|Starlink|落地';
+
+function countsOf(countryInfo) {
+    return Object.fromEntries(countryInfo.map(({ country, count }) => [country, count]));
+}
+
+// 按 filter/exclude-filter 计算 include-all 分组实际包含的节点
+function membersOf(group, proxies) {
+    const filter = compileFilter(group.filter);
+    const excludeFilter = compileFilter(group['exclude-filter']);
+    return proxies
+        .map(proxy => proxy.name)
+        .filter(name => (!filter || filter.test(name)) && (!excludeFilter || !excludeFilter.test(name)));
+}
+
+describe('parseCountries', () => {
+    // 与 main 相同，先经过节点预处理（剔除信息节点等）再统计
+    const parseCountries = (config, args = {}) => {
+        const options = loadOptions({ ...PREPROCESS, ...args });
+        const proxies = internals.preprocessNodes(config.proxies, options);
+        return countsOf(internals.parseCountries({ proxies }, options));
+    };
+
+    it('按地区统计节点数，跳过信息节点与低倍率节点', () => {
+        assert.deepStrictEqual(parseCountries(airport), {
+            香港: 3,
+            台湾: 2,
+            新加坡: 3,
+            日本: 3,
+            美国: 3,
+            英国: 1,
+            澳大利亚: 1,
+            阿根廷: 1,
+            印度: 1,
+            印度尼西亚: 1,
+            韩国: 1,
+        });
+    });
+
+    it('地区代码只匹配大写，信息节点与普通单词不会被识别为地区', () => {
+        const counts = parseCountries({
+            proxies: [
+                { name: '剩余流量：123.45 GB' },
+                { name: 'Traffic: 10gb left' },
+                { name: '官网 https://my.example.com' },
+                { name: 'la 01' },
+                { name: 'Node de Paris' },
+            ],
+        }, { node_blacklist: 'false' });
+        assert.deepStrictEqual(counts, { 法国: 1 });
+        assert.strictEqual(parseCountries(airport, { node_blacklist: 'false' }).英国, 1);
+    });
+
+    it('中转节点按出口地区归类，忽略中转地与入口', () => {
+        const counts = parseCountries({
+            proxies: [
+                { name: '新加坡 SG 香港中转' },
+                { name: '东京→洛杉矶 专线' },
+                { name: 'USA-JP relay' },
+                { name: '美国 via 香港' },
+                { name: 'HK -> JP' },
+                { name: '香港中转 01' },
+            ],
+        });
+        assert.deepStrictEqual(counts, { 新加坡: 1, 美国: 3, 日本: 1 });
+    });
+
+    it('英文全称同时匹配全大写与全小写的写法，并识别常见机房城市', () => {
+        const counts = parseCountries({
+            proxies: [
+                { name: 'INDONESIA 01' },
+                { name: 'MOSCOW 01' },
+                { name: 'New Jersey 01' },
+                { name: 'Istanbul 01' },
+                { name: 'Amsterdam 01' },
+                { name: 'Sao Paulo 01' },
+                { name: 'tokyo 01' },
+            ],
+        });
+        assert.deepStrictEqual(counts, { 印度尼西亚: 1, 俄罗斯: 1, 美国: 1, 土耳其: 1, 荷兰: 1, 巴西: 1, 日本: 1 });
+    });
+
+    it('地区分组的 filter 与地区识别结果一致', () => {
+        const proxies = [
+            '香港 01',
+            '新加坡 SG 香港中转',
+            '东京→洛杉矶 专线',
+            'USA-JP relay',
+            'hk 02',
+            'hong kong 03',
+            '美国 via 香港',
+            'INDONESIA 01',
+            'New Jersey 01',
+        ].map((name, index) => ({ name, type: 'ss', server: `n${index}.example.com`, port: 443 }));
+        const { config } = runConvert({}, { proxies });
+        const members = Object.fromEntries(
+            ['香港', '新加坡', '美国', '印度尼西亚'].map(country => [
+                country,
+                membersOf(groupByName(config, `${country}节点`), config.proxies),
+            ])
+        );
+        assert.deepStrictEqual(members, {
+            香港: ['香港 01', 'hk 02', 'hong kong 03'],
+            新加坡: ['新加坡 SG 香港中转'],
+            美国: ['东京→洛杉矶 专线', 'USA-JP relay', '美国 via 香港', 'New Jersey 01'],
+            印度尼西亚: ['INDONESIA 01'],
+        });
+    });
+
+    it('地区分组的 filter 不超过 1 kB', () => {
+        const { countryMatchers } = loadOptions();
+        for (const { country, filter } of countryMatchers) {
+            assert.ok(filter.length < 1024, `${country} 的 filter 长度为 ${filter.length}`);
+        }
+    });
+
+    it('英文简称按单词边界匹配', () => {
+        const counts = parseCountries({
+            proxies: [{ name: 'Australia 01' }, { name: 'Indonesia 01' }, { name: 'Russia 01' }, { name: 'SG 01' }],
+        });
+        assert.deepStrictEqual(counts, { 澳大利亚: 1, 印度尼西亚: 1, 俄罗斯: 1, 新加坡: 1 });
+    });
+
+    it('仅在启用 landing 时排除落地节点', () => {
+        assert.deepStrictEqual(parseCountries(landingFixture), { 香港: 3, 新加坡: 1, 日本: 2, 美国: 5 });
+        assert.deepStrictEqual(parseCountries(landingFixture, { landing: true }), {
+            香港: 2,
+            新加坡: 1,
+            日本: 1,
+            美国: 4,
+        });
+    });
+});
+
+describe('detectNodeClasses', () => {
+    const detect = (proxies, args = {}) =>
+        [...internals.detectNodeClasses({ proxies }, loadOptions(args))].sort();
+
+    it('识别低倍率、专线、游戏与落地节点', () => {
+        assert.deepStrictEqual(detect(airport.proxies), ['dedicated', 'gaming', 'lowcost']);
+        assert.deepStrictEqual(detect(landingFixture.proxies), ['dedicated', 'landing', 'lowcost']);
+    });
+
+    it('没有匹配节点时不识别低倍率', () => {
+        assert.deepStrictEqual(detect([{ name: '香港 01' }, { name: '日本 01' }]), []);
+    });
+
+    it('支持自定义关键词', () => {
+        const proxies = [{ name: '香港 01 [Lite]' }];
+        assert.deepStrictEqual(detect(proxies), []);
+        assert.deepStrictEqual(detect(proxies, { lowcost_keywords: 'Lite' }), ['lowcost']);
+    });
+});
+
+describe('getCountryGroupNames', () => {
+    const { getCountryGroupNames } = internals;
+    const countryInfo = [
+        { country: '香港', count: 5 },
+        { country: '日本', count: 3 },
+        { country: '英国', count: 1 },
+    ];
+
+    for (const [threshold, expected] of [
+        [0, ['香港节点', '日本节点', '英国节点']],
+        [1, ['香港节点', '日本节点', '英国节点']],
+        [3, ['香港节点', '日本节点']],
+        [5, ['香港节点']],
+        [6, []],
+    ]) {
+        it(`threshold=${threshold}`, () => {
+            assert.deepStrictEqual(getCountryGroupNames(countryInfo, threshold), expected);
+        });
+    }
+
+    it('threshold 参数隐藏节点数不足的地区分组', () => {
+        const { config } = runConvert({ ...PREPROCESS, threshold: '2' }, airport);
+        const names = config['proxy-groups'].map(group => group.name);
+        assert.ok(names.includes('台湾节点'));
+        assert.ok(!names.includes('英国节点'));
+        assert.deepStrictEqual(validateConfig(config), []);
+    });
+});
+
+describe('落地节点排除', () => {
+    it('isRegularNode 总是排除低倍率节点，仅在 landing 时排除落地节点', () => {
+        const { isRegularNode } = internals;
+        const defaults = loadOptions();
+        const landing = loadOptions({ landing: true });
+        assert.strictEqual(isRegularNode('香港 01', defaults), true);
+        assert.strictEqual(isRegularNode('香港 01 0.5x', defaults), false);
+        assert.strictEqual(isRegularNode('香港 HGC 商宽落地', defaults), true);
+        assert.strictEqual(isRegularNode('香港 HGC 商宽落地', landing), false);
+    });
+
+    it('地区分组的 exclude-filter 与 isRegularNode 一致', () => {
+        const { buildRegularExcludeFilter } = internals;
+        assert.strictEqual(buildRegularExcludeFilter(loadOptions()), '(?i)0\\.[0-5]|低倍率|省流|大流量|实验性');
+        assert.strictEqual(
+            buildRegularExcludeFilter(loadOptions({ landing: true })),
+            `(?i)${LANDING_KEYWORDS}|0\\.[0-5]|低倍率|省流|大流量|实验性`
+        );
+    });
+
+    it('启用 landing 时地区分组不包含落地节点，落地节点经由前置代理连接', () => {
+        const { config } = runConvert({ ...PREPROCESS, landing: 'true' }, landingFixture);
+        assert.deepStrictEqual(membersOf(groupByName(config, '香港节点'), config.proxies), ['香港 01', '香港 01 2']);
+        assert.deepStrictEqual(membersOf(groupByName(config, '新加坡节点'), config.proxies), ['新加坡 SG 香港中转']);
+        assert.deepStrictEqual(membersOf(groupByName(config, '落地节点'), config.proxies), [
+            '香港 HGC 商宽落地',
+            '美国 Starlink 落地',
+            '日本 家宽 IEPL',
+        ]);
+        assert.deepStrictEqual(membersOf(groupByName(config, '专线节点'), config.proxies), ['东京→洛杉矶 专线']);
+
+        const front = groupByName(config, '前置代理');
+        for (const name of ['落地节点', '故障转移', '手动选择']) {
+            assert.ok(!front.proxies.includes(name), `前置代理不应包含 ${name}`);
+        }
+        assert.ok(membersOf(front, config.proxies).every(name => !/落地|家宽|Starlink/.test(name)));
+
+        const dialers = config.proxies.filter(proxy => proxy['dialer-proxy']);
+        assert.deepStrictEqual(
+            dialers.map(proxy => [proxy.name, proxy['dialer-proxy']]),
+            [
+                ['香港 HGC 商宽落地', '前置代理'],
+                ['美国 Starlink 落地', '前置代理'],
+                ['日本 家宽 IEPL', '前置代理'],
+            ]
+        );
+        assert.deepStrictEqual(validateConfig(config), []);
+    });
+
+    it('未启用 landing 时落地节点按地区归类', () => {
+        const { config } = runConvert({}, landingFixture);
+        assert.ok(membersOf(groupByName(config, '香港节点'), config.proxies).includes('香港 HGC 商宽落地'));
+        assert.strictEqual(groupByName(config, '落地节点'), undefined);
+        assert.ok(config.proxies.every(proxy => !proxy['dialer-proxy']));
+    });
+});
+
+describe('节点预处理', () => {
+    it('默认只剔除信息节点，为重名节点追加序号', () => {
+        const { config } = runConvert({}, landingFixture);
+        const names = config.proxies.map(proxy => proxy.name);
+        assert.strictEqual(names.length, landingFixture.proxies.length - 1);
+        assert.ok(!names.includes('Expire: 2026-12-31'));
+        assert.deepStrictEqual(names.slice(0, 3), ['香港 01', '香港 01 2', '香港 01 备用']);
+    });
+
+    it('node_blacklist 可以关闭、替换或追加内置关键词', () => {
+        const proxies = ['剩余流量：10 GB', '香港 01', '香港 测试'].map((name, index) => ({
+            name, type: 'ss', server: `n${index}.example.com`, port: 443,
+        }));
+        const namesWith = args => runConvert(args, { proxies }).config.proxies.map(proxy => proxy.name);
+        assert.deepStrictEqual(namesWith({ node_blacklist: 'false' }), ['剩余流量：10 GB', '香港 01', '香港 测试']);
+        assert.deepStrictEqual(namesWith({ node_blacklist: '测试' }), ['剩余流量：10 GB', '香港 01']);
+        assert.deepStrictEqual(namesWith({ node_blacklist: '+测试' }), ['香港 01']);
+    });
+
+    it('node_blacklist 与 dedupe 剔除信息节点并去除重复节点', () => {
+        const { config } = runConvert(PREPROCESS, landingFixture);
+        const names = config.proxies.map(proxy => proxy.name);
+        assert.ok(!names.includes('Expire: 2026-12-31'));
+        assert.ok(!names.includes('香港 01 备用'));
+        assert.deepStrictEqual(names.slice(0, 6), ['香港 01', '香港 01 2', '日本 01', '美国 01', '美国 01 2', '美国 01 3']);
+    });
+
+    it('服务器相同但传输或认证参数不同的节点不视为重复', () => {
+        const base = { type: 'vmess', server: 'vm.example.com', port: 443, uuid: 'a', network: 'ws' };
+        const proxies = [
+            { name: '香港 01', ...base, 'ws-opts': { path: '/hk' } },
+            { name: '香港 02', ...base, 'ws-opts': { path: '/hk2' } },
+            { name: '香港 03', ...base, uuid: 'b', 'ws-opts': { path: '/hk' } },
+            { name: '香港 04', ...base, servername: 'sni.example.com', 'ws-opts': { path: '/hk' } },
+            { name: '香港 01 备用', 'ws-opts': { path: '/hk' }, ...base },
+        ];
+        const { config } = runConvert({ dedupe: 'true' }, { proxies });
+        assert.deepStrictEqual(config.proxies.map(proxy => proxy.name), ['香港 01', '香港 02', '香港 03', '香港 04']);
+    });
+});
+
+describe('规则顺序', () => {
+    // 原有配置中的服务规则，后续新增的规则集可以插入其间，但不应改变这些规则的相对顺序
+    const BASELINE_RULES = [
+        'RULE-SET,private,🔒 私有网络',
+        'RULE-SET,ads,🛑 广告域名',
+        'RULE-SET,trackerslist,📋 Trackerslist',
+        'RULE-SET,applications,⬇️ 直连软件',
+        'RULE-SET,microsoft-cn,🪟 微软服务',
+        'RULE-SET,apple-cn,🍎 苹果服务',
+        'RULE-SET,google-cn,🇬 谷歌服务',
+        'RULE-SET,games-cn,🎮 游戏服务',
+        'RULE-SET,netflix,🎥 奈飞视频',
+        'RULE-SET,disney,📽️ 迪士尼+',
+        'RULE-SET,max,🎞️ Max',
+        'RULE-SET,primevideo,🎬 Prime Video',
+        'RULE-SET,appletv,🍎 Apple TV+',
+        'RULE-SET,youtube,📹 油管视频',
+        'RULE-SET,tiktok,🎵 TikTok',
+        'RULE-SET,bilibili,📺 哔哩哔哩',
+        'RULE-SET,spotify,🎶 Spotify',
+        'RULE-SET,media,🌍 国外媒体',
+        'RULE-SET,games,🎮 游戏平台',
+        'RULE-SET,ai,🤖 AI 平台',
+        'RULE-SET,networktest,📈 网络测试',
+        'RULE-SET,tld-proxy,🧱 代理顶级域名',
+        'RULE-SET,gfw,🧱 代理域名',
+        'RULE-SET,cn,🛡️ 直连域名',
+        'RULE-SET,privateip,🔒 私有网络,no-resolve',
+        'RULE-SET,cnip,🀄️ 直连 IP',
+        'RULE-SET,netflixip,🎥 奈飞视频',
+        'RULE-SET,mediaip,🌍 国外媒体',
+        'RULE-SET,gamesip,🎮 游戏平台',
+        'RULE-SET,telegramip,📲 电报消息,no-resolve',
+    ];
+
+    it('默认配置保持原有规则的相对顺序', () => {
+        const { config } = runConvert({}, airport);
+        const rules = config.rules.filter(rule => BASELINE_RULES.includes(rule));
+        assert.deepStrictEqual(rules, BASELINE_RULES);
+    });
+
+    it('国内 IP 规则紧跟私有网络 IP 规则', () => {
+        const { config } = runConvert({}, airport);
+        const ipRules = config.rules.filter(rule => /^RULE-SET,\w+ip,/.test(rule));
+        assert.deepStrictEqual(ipRules.slice(0, 2), [
+            'RULE-SET,privateip,🔒 私有网络,no-resolve',
+            'RULE-SET,cnip,🀄️ 直连 IP',
+        ]);
+    });
+});
+
+describe('功能开关', () => {
+    const run = args => {
+        const result = runConvert(args, airport);
+        assert.deepStrictEqual(validateConfig(result.config), []);
+        return result.config;
+    };
+    const defaults = run({});
+
+    it('loadbalance 将地区分组改为 load-balance', () => {
+        assert.strictEqual(groupByName(defaults, '香港节点').type, 'url-test');
+        const group = groupByName(run({ loadbalance: 'true' }), '香港节点');
+        assert.strictEqual(group.type, 'load-balance');
+        assert.strictEqual(group.strategy, 'consistent-hashing');
+    });
+
+    it('ipv6 开启 DNS 的 IPv6 解析', () => {
+        assert.strictEqual(defaults.dns.ipv6, false);
+        assert.strictEqual(run({ ipv6: '1' }).dns.ipv6, true);
+    });
+
+    it('full 输出入站等完整配置', () => {
+        assert.strictEqual(defaults['mixed-port'], undefined);
+        const config = run({ full: true });
+        assert.strictEqual(config['mixed-port'], 7890);
+        assert.strictEqual(config.mode, 'rule');
+        assert.strictEqual(config['disable-keep-alive'], true);
+    });
+
+    it('secret=auto 生成 32 位十六进制密钥', () => {
+        const first = run({ full: true, secret: 'auto' }).secret;
+        const second = run({ full: true, secret: 'auto' }).secret;
+        assert.match(first, /^[0-9a-f]{32}$/);
+        assert.notStrictEqual(first, second);
+    });
+
+    it('自动生成 secret 时给出提示，但提示中不包含 secret', () => {
+        const { config, warnings } = runConvert({ full: 'true', controller: '0.0.0.0:9090' }, airport);
+        assert.match(config.secret, /^[0-9a-f]{32}$/);
+        assert.strictEqual(warnings.length, 1);
+        assert.ok(warnings[0].includes('0.0.0.0:9090'));
+        assert.ok(!warnings[0].includes(config.secret));
+    });
+
+    it('keepalive 仅在 full 时生效', () => {
+        assert.strictEqual(run({ keepalive: true })['disable-keep-alive'], undefined);
+        assert.strictEqual(run({ full: true, keepalive: true })['disable-keep-alive'], false);
+    });
+
+    it('fakeip 切换 DNS 增强模式', () => {
+        assert.strictEqual(defaults.dns['enhanced-mode'], 'redir-host');
+        const dns = run({ fakeip: 'true' }).dns;
+        assert.strictEqual(dns['enhanced-mode'], 'fake-ip');
+        assert.strictEqual(dns['fake-ip-range'], '198.18.0.1/16');
+    });
+
+    it('fake-ip-filter 保留规则集之外原有的条目', () => {
+        const filter = run({ fakeip: 'true' }).dns['fake-ip-filter'];
+        for (const entry of [
+            'rule-set:fakeip-filter',
+            'geosite:connectivity-check',
+            'Mijia Cloud',
+            'dig.io.mi.com',
+            'localhost.ptlogin2.qq.com',
+            '*.icloud.com',
+            '*.stun.*.*',
+            '*.stun.*.*.*',
+        ]) {
+            assert.ok(filter.includes(entry), entry);
+        }
+        const whitelist = run({ fakeip: 'true', fakeip_filter_mode: 'whitelist' }).dns['fake-ip-filter'];
+        assert.ok(!whitelist.includes('*.icloud.com'));
+    });
+
+    it('默认 DNS 方案与原有配置一致', () => {
+        assert.deepStrictEqual(defaults.dns, {
+            enable: true,
+            ipv6: false,
+            'prefer-h3': true,
+            'enhanced-mode': 'redir-host',
+            'default-nameserver': ['119.29.29.29', '223.5.5.5'],
+            nameserver: ['system', '223.5.5.5', '119.29.29.29', '180.184.1.1'],
+            fallback: [
+                'quic://dns0.eu',
+                'https://dns.cloudflare.com/dns-query',
+                'https://dns.sb/dns-query',
+                'tcp://208.67.222.222',
+                'tcp://8.26.56.2',
+            ],
+            'proxy-server-nameserver': ['https://dns.alidns.com/dns-query', 'tls://dot.pub'],
+        });
+    });
+
+    it('其他 DNS 方案通过 dns_fallback 设置 fallback 时附带 fallback-filter', () => {
+        assert.strictEqual(run({ dns_profile: 'cn-first' }).dns.fallback, undefined);
+        const dns = run({ dns_profile: 'cn-first', dns_fallback: 'https://1.1.1.1/dns-query' }).dns;
+        assert.deepStrictEqual(dns.fallback, ['https://1.1.1.1/dns-query']);
+        assert.strictEqual(dns['fallback-filter']['geoip-code'], 'CN');
+    });
+
+    it('exclude_services 禁用服务分组，必需的服务不可禁用并给出提示', () => {
+        const { config, warnings } = runConvert({ exclude_services: 'netflix,private,final' }, airport);
+        const names = config['proxy-groups'].map(group => group.name);
+        assert.ok(!names.includes('🎥 奈飞视频'));
+        assert.ok(names.includes('🔒 私有网络'));
+        assert.deepStrictEqual(warnings, [
+            '服务 private（🔒 私有网络）不可禁用，已忽略',
+            '服务 final（🐟 漏网之鱼）不可禁用，已忽略',
+        ]);
+        assert.deepStrictEqual(validateConfig(config), []);
+    });
+
+    it('quic 不再拦截 UDP 443', () => {
+        const blockQuic = 'AND,((DST-PORT,443),(NETWORK,UDP)),REJECT';
+        assert.strictEqual(defaults.rules[0], blockQuic);
+        assert.ok(!run({ quic: 'true' }).rules.includes(blockQuic));
+    });
+
+    it('threshold 为 0 时显示所有识别到的地区', () => {
+        const names = defaults['proxy-groups'].map(group => group.name);
+        for (const name of ['英国节点', '澳大利亚节点', '阿根廷节点', '印度节点', '印度尼西亚节点', '韩国节点']) {
+            assert.ok(names.includes(name), `缺少 ${name}`);
+        }
+    });
+
+    it('sources 与 rename 同时使用时按原名识别来源', () => {
+        const proxies = [
+            { name: '机场A 香港 01', type: 'ss', server: 'a1.example.com', port: 443 },
+            { name: '机场A 日本 01', type: 'ss', server: 'a2.example.com', port: 443 },
+            { name: '[机场B] 香港 01', type: 'ss', server: 'b1.example.com', port: 443 },
+        ];
+        const { config, warnings } = runConvert({ sources: '机场A;机场B', rename: 'true' }, { proxies });
+        assert.deepStrictEqual(warnings, []);
+        assert.deepStrictEqual(config.proxies.map(proxy => proxy.name), ['🇭🇰 香港 01', '🇯🇵 日本 01', '🇭🇰 香港 02']);
+        assert.deepStrictEqual(groupByName(config, '机场A节点').proxies, ['🇭🇰 香港 01', '🇯🇵 日本 01']);
+        assert.deepStrictEqual(groupByName(config, '机场B节点').proxies, ['🇭🇰 香港 02']);
+        assert.deepStrictEqual(validateConfig(config), []);
+    });
+});
+
+describe('自定义规则', () => {
+    it('含逗号的 DOMAIN-REGEX 与逻辑规则可以正确解析', () => {
+        const rules = [
+            'DOMAIN-REGEX,^a{1,3}\\.example\\.com$,DIRECT',
+            'AND,((DOMAIN-SUFFIX,example.com),(NETWORK,TCP)),选择代理',
+            'OR,((RULE-SET,missing),(DST-PORT,22)),DIRECT',
+            'DOMAIN-SUFFIX,example.org,不存在的分组',
+        ];
+        const { config, warnings } = runConvert({ prepend_rules: rules.join(';') }, airport);
+        assert.deepStrictEqual(config.rules.slice(0, 2), rules.slice(0, 2));
+        assert.deepStrictEqual(warnings, [
+            `已忽略自定义规则 "${rules[2]}"：未找到规则集 missing`,
+            `已忽略自定义规则 "${rules[3]}"：未找到策略组 不存在的分组`,
+        ]);
+    });
+
+    it('rule_urls 生成的规则集不覆盖同名的 rule_providers，并忽略缺少链接的条目', () => {
+        const userProvider = { type: 'file', behavior: 'domain', path: './my.yaml' };
+        const { config, warnings } = runConvert(
+            {
+                rule_providers: JSON.stringify({ 'custom-1': userProvider }),
+                rule_urls: 'https://example.com/a.list>DIRECT;>DIRECT',
+            },
+            airport
+        );
+        assert.deepStrictEqual(config['rule-providers']['custom-1'], userProvider);
+        assert.strictEqual(config['rule-providers']['custom-2'].url, 'https://example.com/a.list');
+        assert.ok(config.rules.includes('RULE-SET,custom-2,DIRECT'));
+        assert.deepStrictEqual(warnings, [
+            'rule_urls 中的 >DIRECT 缺少有效的链接，已忽略',
+            '规则集名称 custom-1 已被占用，https://example.com/a.list 改用 custom-2',
+        ]);
+        assert.deepStrictEqual(validateConfig(config), []);
+    });
+
+    it('rule_urls 中的策略组不存在时，规则与规则集一并忽略', () => {
+        const { config, warnings } = runConvert(
+            { rule_urls: 'https://example.com/a.list>不存在的分组;https://example.com/b.list' },
+            airport
+        );
+        assert.deepStrictEqual(
+            Object.values(config['rule-providers']).filter(provider => provider.url.startsWith('https://example.com/')),
+            [config['rule-providers']['custom-1']]
+        );
+        assert.strictEqual(config['rule-providers']['custom-1'].url, 'https://example.com/b.list');
+        assert.ok(config.rules.includes('RULE-SET,custom-1,选择代理'));
+        assert.deepStrictEqual(warnings, ['已忽略规则集 https://example.com/a.list：未找到策略组 不存在的分组']);
+        assert.deepStrictEqual(validateConfig(config), []);
+    });
+});
+
+describe('参数校验', () => {
+    it('兼容大小写与别名，未知参数与无效取值会被忽略并给出提示', () => {
+        const { config, warnings } = runConvert(
+            { fakeIP: 'true', 'load-balance': '1', landing: 'yes', foo: 'bar', tun_stack: 'abc' },
+            airport
+        );
+        assert.strictEqual(config.dns['enhanced-mode'], 'fake-ip');
+        assert.strictEqual(groupByName(config, '香港节点').type, 'load-balance');
+        assert.strictEqual(groupByName(config, '落地节点'), undefined);
+        assert.deepStrictEqual(warnings, [
+            '参数 fakeIP 已按 fakeip 处理',
+            '参数 load-balance 已按 loadbalance 处理',
+            '参数 landing 的值 yes 无效（应为 true/false 或 1/0），已忽略',
+            '未知的参数 foo，已忽略',
+            '参数 tun_stack 的值 abc 无效（可选值为 system/gvisor/mixed），已忽略',
+        ]);
+        assert.strictEqual(config['convert-warnings'], undefined);
+    });
+
+    it('提示交给传入的 logger 输出', () => {
+        const logged = [];
+        const config = buildConfig(airport, { foo: 'bar', prepend_rules: 'DOMAIN,a.com,不存在的分组' }, {
+            logger: message => logged.push(message),
+        });
+        assert.deepStrictEqual(logged, [
+            '未知的参数 foo，已忽略',
+            '已忽略自定义规则 "DOMAIN,a.com,不存在的分组"：未找到策略组 不存在的分组',
+        ]);
+        assert.deepStrictEqual(Object.keys(config).filter(key => key.includes('warning')), []);
+    });
+});
+
+describe('模块接口', () => {
+    it('同一进程中可以用不同参数多次生成配置', () => {
+        const withLanding = buildConfig(landingFixture, { landing: true });
+        const withoutLanding = buildConfig(landingFixture, {});
+        assert.ok(groupByName(withLanding, '落地节点'));
+        assert.strictEqual(groupByName(withoutLanding, '落地节点'), undefined);
+    });
+
+    it('交替使用以不同参数创建的转换器', () => {
+        const landingConverter = loadConvert({ landing: true });
+        const defaultConverter = loadConvert({});
+        const fromDefault = defaultConverter.main(plain(landingFixture));
+        const fromLanding = landingConverter.main(plain(landingFixture));
+        assert.strictEqual(groupByName(fromDefault, '落地节点'), undefined);
+        assert.ok(groupByName(fromLanding, '落地节点'));
+    });
+
+    it('转换器之间及每次生成之间不共享提示信息', () => {
+        const invalid = loadConvert({ foo: 'bar', prepend_rules: 'DOMAIN,a.com,不存在的分组' });
+        const valid = loadConvert({});
+        const first = invalid.run(plain(airport));
+        const second = invalid.run(plain(airport));
+        assert.strictEqual(first.warnings.length, 2);
+        assert.deepStrictEqual(second.warnings, first.warnings);
+        assert.deepStrictEqual(valid.run(plain(airport)).warnings, []);
+    });
+
+    it('转换器对象只包含公开接口', () => {
+        assert.deepStrictEqual(Object.keys(loadConvert()).sort(), ['main', 'run']);
+    });
+
+    it('Sub-Store 入口读取 $arguments，结果与 buildConfig 一致', () => {
+        const args = { landing: 'true', fakeip: 'true' };
+        const sandbox = loadSandbox(args);
+        const fromSubStore = plain(sandbox.main(JSON.parse(JSON.stringify(landingFixture))));
+        assert.deepStrictEqual(fromSubStore, runConvert(args, landingFixture).config);
+    });
+});
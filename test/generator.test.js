@@ -0,0 +1,35 @@
+/**
+ * yaml_generator 的参数组合与文件名
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+const { generateArgCombos, fileNameFromArgs } = require('../yaml_generator/generator');
+const { ARGUMENT_SCHEMA } = require('../convert');
+
+describe('generator', () => {
+    it('默认参数组合的文件名各不相同，布尔值写作 0/1', () => {
+        const params = ARGUMENT_SCHEMA.filter(spec => spec.generate);
+        const names = generateArgCombos(params).map(args => fileNameFromArgs(params, args));
+        assert.strictEqual(new Set(names).size, names.length);
+        assert.ok(names[0].startsWith('config_lb-0_landing-0_'));
+        assert.ok(names[names.length - 1].startsWith('config_lb-1_landing-1_'));
+    });
+
+    it('非布尔取值写作其在 values 中的序号', () => {
+        const params = [
+            { name: 'loadbalance', generate: { short: 'lb', values: [false, true] } },
+            { name: 'fakeip_filter_mode', generate: { short: 'fm', values: ['blacklist', 'whitelist'] } },
+            { name: 'threshold', generate: { short: 'th', values: [0, 3] } },
+        ];
+        const names = generateArgCombos(params).map(args => fileNameFromArgs(params, args));
+        assert.strictEqual(names.length, 8);
+        assert.strictEqual(new Set(names).size, 8);
+        assert.ok(names.every(name => !name.includes('NaN')));
+        assert.strictEqual(
+            fileNameFromArgs(params, { loadbalance: true, fakeip_filter_mode: 'whitelist', threshold: 3 }),
+            'config_lb-1_fm-1_th-1.yaml'
+        );
+    });
+});
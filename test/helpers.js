@@ -0,0 +1,91 @@
+/**
+ * 测试辅助函数
+ * 以模块形式载入 convert.js，通过 createConverter 传入参数，内部函数通过 internals 测试；
+ * loadSandbox 则与 Sub-Store 相同，在独立的 vm 上下文中载入脚本并传入 $arguments。
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const YAML = require('yaml');
+const { createConverter, internals } = require('../convert');
+
+const BASE_DIR = path.resolve(__dirname, '..');
+const CONVERT_FILE = path.join(BASE_DIR, 'convert.js');
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const SNAPSHOTS_DIR = path.join(__dirname, '__snapshots__');
+
+// 提示通过返回值检查，测试中不输出到控制台
+function loadConvert(args = {}) {
+    return createConverter(args, { logger: null });
+}
+
+// 以给定参数计算内部函数使用的 options
+function loadOptions(args = {}) {
+    return internals.configure(args, internals.createReporter(null));
+}
+
+// 与 Sub-Store 相同，在独立的 vm 上下文中载入 convert.js，返回其上下文
+function loadSandbox(args = {}) {
+    const code = fs.readFileSync(CONVERT_FILE, 'utf-8');
+    const sandbox = { $arguments: { ...args }, console: { log() {} } };
+    vm.createContext(sandbox);
+    vm.runInContext(code, sandbox, { filename: 'convert.js' });
+    return sandbox;
+}
+
+function loadFixture(name) {
+    const raw = fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`), 'utf-8');
+    return JSON.parse(raw);
+}
+
+// 以给定参数生成配置，返回生成的配置与提示信息
+function runConvert(args, config) {
+    const result = loadConvert(args).run(JSON.parse(JSON.stringify(config)));
+    // 转换为普通对象，避免共享的数组在快照中被写成 YAML 锚点
+    return { config: plain(result.config), warnings: result.warnings };
+}
+
+// 转换为普通对象；vm 上下文中的对象原型与当前上下文不同，也需要转换后才能使用 deepStrictEqual
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+function toYAML(obj) {
+    return YAML.stringify(obj, { indent: 2, simpleKeys: false });
+}
+
+/**
+ * 与 __snapshots__ 中保存的 YAML 比较；设置了 UPDATE_SNAPSHOTS=1 时写入新快照。
+ * 快照不存在时测试失败，避免 CI 中缺失的快照被静默生成后直接通过。
+ */
+function matchSnapshot(name, obj) {
+    const file = path.join(SNAPSHOTS_DIR, `${name}.yaml`);
+    const actual = toYAML(obj);
+    if (process.env.UPDATE_SNAPSHOTS === '1') {
+        fs.mkdirSync(SNAPSHOTS_DIR, { recursive: true });
+        fs.writeFileSync(file, actual, 'utf-8');
+        return;
+    }
+    if (!fs.existsSync(file)) {
+        assert.fail(`快照 ${name} 不存在，请用 UPDATE_SNAPSHOTS=1 npm test 生成并提交`);
+    }
+    const expected = fs.readFileSync(file, 'utf-8');
+    assert.strictEqual(actual, expected, `快照 ${name} 不一致，确认无误后可用 UPDATE_SNAPSHOTS=1 npm test 更新`);
+}
+
+function groupByName(config, name) {
+    return config['proxy-groups'].find(group => group.name === name);
+}
+
+module.exports = {
+    loadConvert,
+    loadOptions,
+    loadSandbox,
+    loadFixture,
+    runConvert,
+    plain,
+    matchSnapshot,
+    groupByName,
+};
@@ -0,0 +1,29 @@
+/**
+ * 快照测试：用 fixtures 中的订阅生成 YAML，与 __snapshots__ 中保存的结果比较。
+ * 修改生成逻辑后，确认差异无误再用 UPDATE_SNAPSHOTS=1 npm test 更新快照。
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('assert');
+
+const { loadFixture, runConvert, matchSnapshot } = require('./helpers');
+const { validateConfig } = require('../yaml_generator/validator');
+
+const CASES = [
+    { name: 'airport_default', fixture: 'airport', args: {} },
+    { name: 'airport_full', fixture: 'airport', args: { full: 'true', fakeip: 'true', ipv6: 'true', tun: 'true', node_blacklist: 'true', dedupe: 'true' } },
+    { name: 'airport_loadbalance', fixture: 'airport', args: { loadbalance: 'true', threshold: '3', rename: 'true' } },
+    { name: 'landing_default', fixture: 'landing', args: {} },
+    { name: 'landing_landing', fixture: 'landing', args: { landing: 'true', landing_dialer: 'Starlink:日本' } },
+];
+
+describe('snapshot', () => {
+    for (const { name, fixture, args } of CASES) {
+        it(name, () => {
+            const { config, warnings } = runConvert(args, loadFixture(fixture));
+            assert.deepStrictEqual(warnings, []);
+            assert.deepStrictEqual(validateConfig(config), []);
+            matchSnapshot(name, config);
+        });
+    }
+});
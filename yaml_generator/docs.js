@@ -0,0 +1,116 @@
+/**
+ * 参数文档生成器
+ * 读取 convert.js 中的 ARGUMENT_SCHEMA，重新生成 convert.js 开头的参数说明
+ * 与 README.md 中 <!-- ARGUMENTS:START --> 与 <!-- ARGUMENTS:END --> 之间的参数表。
+ *
+ * 修改参数定义后运行 npm run docs 即可同步文档。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ARGUMENT_SCHEMA } = require('../convert');
+
+// 路径常量
+const BASE_DIR = path.resolve(__dirname, '..');
+const CONVERT_FILE = path.join(BASE_DIR, 'convert.js');
+const README_FILE = path.join(BASE_DIR, 'README.md');
+
+const HEADER_START = '支持的传入参数：\n';
+const HEADER_END = '*/';
+const README_START = '<!-- ARGUMENTS:START -->\n';
+const README_END = '<!-- ARGUMENTS:END -->';
+
+const TYPE_NAMES = {
+    boolean: '布尔',
+    number: '整数',
+    string: '字符串',
+    list: '列表',
+    json: 'JSON',
+    enum: '枚举',
+};
+
+// 默认值的文字说明，没有默认值时返回 null
+function defaultText(spec) {
+    if (spec.defaultText) return spec.defaultText;
+    if (spec.default === undefined) return null;
+    return String(spec.default);
+}
+
+// 生成 convert.js 开头的参数说明，每个参数一行
+function renderHeader(schema) {
+    return schema.map(spec => {
+        let line = `- ${spec.name}: ${spec.description}`;
+        if (spec.type === 'enum') line += `，可选 ${spec.values.join('/')}`;
+        const text = defaultText(spec);
+        if (text === null) return line;
+        // 说明以括号结尾时将默认值并入括号，避免连续两组括号
+        return line.endsWith('）')
+            ? `${line.slice(0, -1)}，默认 ${text}）`
+            : `${line}（默认 ${text}）`;
+    }).join('\n') + '\n';
+}
+
+// 表格单元格中的 | 需要转义
+function cell(text) {
+    return text.replace(/\|/g, '\\|');
+}
+
+function code(text) {
+    return cell(`\`${text}\``);
+}
+
+// 生成 README 中的参数表
+function renderTable(schema) {
+    const rows = schema.map(spec => {
+        const names = [spec.name, ...(spec.aliases || [])].map(code).join('<br>');
+        const text = defaultText(spec);
+        const defaults = text === null ? '-' : spec.defaultText ? cell(text) : code(text);
+        let description = cell(spec.description);
+        if (spec.type === 'enum') {
+            description += `，可选 ${spec.values.map(code).join('、')}`;
+        }
+        if (spec.see) description += `，见下文「${spec.see}」`;
+        if (spec.note) description += spec.note;
+        return `| ${names} | ${TYPE_NAMES[spec.type]} | ${defaults} | ${description} |`;
+    });
+    return [
+        '| 参数 | 类型 | 默认值 | 说明 |',
+        '| --- | --- | --- | --- |',
+        ...rows,
+    ].join('\n') + '\n';
+}
+
+// 替换 start 与 end 之间的内容
+function replaceBetween(content, start, end, replacement, file) {
+    const from = content.indexOf(start);
+    const to = content.indexOf(end, from + start.length);
+    if (from === -1 || to === -1) {
+        throw new Error(`${file} 中缺少参数说明的标记`);
+    }
+    return content.slice(0, from + start.length) + replacement + content.slice(to);
+}
+
+function updateFile(file, start, end, replacement) {
+    const content = fs.readFileSync(file, 'utf-8');
+    const updated = replaceBetween(content, start, end, replacement, path.basename(file));
+    if (updated === content) {
+        console.log(`${path.basename(file)} 无需更新`);
+        return;
+    }
+    fs.writeFileSync(file, updated, 'utf-8');
+    console.log(`已更新 ${path.basename(file)}`);
+}
+
+function main() {
+    updateFile(CONVERT_FILE, HEADER_START, HEADER_END, renderHeader(ARGUMENT_SCHEMA));
+    updateFile(README_FILE, README_START, README_END, renderTable(ARGUMENT_SCHEMA));
+}
+
+if (require.main === module) {
+    try {
+        main();
+    } catch (e) {
+        console.error('生成文档失败:', e);
+        process.exit(1);
+    }
+}
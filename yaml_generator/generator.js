@@ -1,26 +1,30 @@
 /**
  * YAML 生成器
- * 使用 fake_proxies.json 中的假代理列表，载入 convert.js，
- * 组合不同参数调用其 main(config) 生成 Clash/Stash 配置，并输出为 YAML 文件。
+ * 使用 fake_proxies.json 中的假代理列表，以模块形式载入 convert.js，
+ * 组合不同参数调用其 createConverter(args).run(config) 生成 Clash/Stash 配置，并输出为 YAML 文件。
  * 
- * 支持的布尔参数在下面的 FLAGS 数组中定义，与 convert.js 内保持一致。
- * 生成所有可能的参数组合，文件名基于参数动态生成。
+ * 参数空间来自 convert.js 中的 ARGUMENT_SCHEMA：声明了 generate 的参数按其 values 取值，
+ * 默认生成所有参数组合，文件名基于参数动态生成。
+ * 
+ * 使用 --presets 时改为只生成 presets.json 中的命名预设，可用 --presets=a,b 指定预设。
+ * 
+ * 每个配置写出前都会经过 validator.js 校验，存在错误时生成失败。
  * 
  * 可通过环境变量 LIMIT_COMBOS（整数）限制生成前 N 个组合。
  */
 
 const fs = require('fs');
 const path = require('path');
-const vm = require('vm');
 const YAML = require('yaml');
+const { createConverter, ARGUMENT_SCHEMA } = require('../convert');
+const { validateConfig } = require('./validator');
 
 // 路径常量
 const BASE_DIR = path.resolve(__dirname, '..');
 const GENERATOR_DIR = __dirname;
-const CONVERT_FILE = path.join(BASE_DIR, 'convert.js');
 const FAKE_PROXIES_FILE = path.join(GENERATOR_DIR, 'fake_proxies.json');
+const PRESETS_FILE = path.join(GENERATOR_DIR, 'presets.json');
 const OUTPUT_DIR = path.join(BASE_DIR, 'yamls');
-const FLAGS = ['loadbalance', 'landing', 'ipv6', 'full', 'keepalive', 'fakeip'];
 
 // 读取 fake proxies
 function loadFakeConfig() {
@@ -37,89 +41,113 @@ function toYAML(obj) {
     return YAML.stringify(obj, { indent: 2, simpleKeys: false });
 }
 
-// 生成参数组合
-function generateArgCombos() {
-    const combos = [];
-    for (let mask = 0; mask < (1 << FLAGS.length); mask++) {
-        const combo = {};
-        FLAGS.forEach((flag, i) => {
-            combo[flag] = Boolean(mask & (1 << i));
-        });
-        combos.push(combo);
+// 读取 convert.js 中的参数定义，只保留声明了 generate 的参数
+function loadGenerateParams() {
+    return ARGUMENT_SCHEMA.filter(spec => spec.generate);
+}
+
+// 生成参数组合（各参数取值的笛卡尔积）
+function generateArgCombos(params) {
+    return params.reduce(
+        (combos, spec) => combos.flatMap(combo =>
+            spec.generate.values.map(value => ({ ...combo, [spec.name]: value }))
+        ),
+        [{}]
+    );
+}
+
+// 读取命名预设，names 为空时返回全部
+function loadPresets(names) {
+    const { presets } = JSON.parse(fs.readFileSync(PRESETS_FILE, 'utf-8'));
+    if (!names || names.length === 0) return presets;
+    for (const name of names) {
+        if (!presets.some(preset => preset.name === name)) {
+            throw new Error(`presets.json 中不存在预设 ${name}`);
+        }
     }
-    return combos;
+    return presets.filter(preset => names.includes(preset.name));
 }
 
-// 执行 convert.js 并调用 main
+// 以给定参数生成配置，同时返回生成过程中的提示（未知参数、无效取值等）
 function runConvert(baseConfig, args) {
-    const code = fs.readFileSync(CONVERT_FILE, 'utf-8');
-    const sandbox = {
-        $arguments: { ...args },
-        console,
-        // 为安全不提供 require / module
-    };
-    vm.createContext(sandbox);
-    vm.runInContext(code, sandbox, { filename: 'convert.js' });
-    if (typeof sandbox.main !== 'function') {
-        throw new Error('convert.js 未暴露 main 函数 (未在顶层定义?)');
-    }
     // 深拷贝基础配置，避免污染
     const configCopy = JSON.parse(JSON.stringify(baseConfig));
-    return sandbox.main(configCopy);
+    return createConverter(args).run(configCopy);
 }
 
-function fileNameFromArgs(args) {
-    // 根据 FLAGS 数组动态生成文件名
-    const parts = FLAGS.map(flag => {
-        const shortName = getShortName(flag);
-        return `${shortName}-${+args[flag]}`;
-    });
-    return `config_${parts.join('_')}.yaml`;
+// 将提示写成 YAML 注释，放在文件开头
+function warningComment(warnings) {
+    if (warnings.length === 0) return '';
+    return ['# convert.js 提示：', ...warnings.map(message => `# - ${message}`)].join('\n') + '\n';
 }
 
-// 获取参数的简短名称用于文件名
-function getShortName(flag) {
-    const shortNames = {
-        'loadbalance': 'lb',
-        'landing': 'landing',
-        'ipv6': 'ipv6',
-        'full': 'full',
-        'keepalive': 'keepalive',
-        'fakeip': 'fakeip'
-    };
-    return shortNames[flag] || flag;
+function fileNameFromArgs(params, args) {
+    // 根据参数定义动态生成文件名，取值写作其在 values 中的序号，布尔值 [false, true] 即为 0/1
+    const parts = params.map(spec => `${spec.generate.short}-${spec.generate.values.indexOf(args[spec.name])}`);
+    return `config_${parts.join('_')}.yaml`;
 }
 
 function ensureDir(dir) {
     if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
+// 解析命令行中的 --presets 或 --presets=a,b
+function parsePresetOption(argv) {
+    const option = argv.find(arg => arg === '--presets' || arg.startsWith('--presets='));
+    if (!option) return null;
+    const [, list = ''] = option.split('=');
+    return list.split(',').map(name => name.trim()).filter(Boolean);
+}
+
+// 生成并写出单个 YAML 文件
+function writeConfig(baseConfig, args, fileName) {
+    const { config, warnings } = runConvert(baseConfig, args);
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+        throw new Error(`${fileName} 校验失败：\n${errors.map(error => `  - ${error}`).join('\n')}`);
+    }
+    // 输出前移除假 proxies 列表
+    delete config.proxies;
+    const yaml = warningComment(warnings) + toYAML(config);
+    const filePath = path.join(OUTPUT_DIR, fileName);
+    fs.writeFileSync(filePath, yaml + '\n', 'utf-8');
+    console.log(`[生成] ${path.relative(process.cwd(), filePath)}`);
+}
+
+// 清理旧文件，避免残留无效组合
+function cleanOutput(pattern) {
+    for (const f of fs.readdirSync(OUTPUT_DIR)) {
+        if (pattern.test(f)) {
+            try { fs.unlinkSync(path.join(OUTPUT_DIR, f)); } catch (_) {}
+        }
+    }
+}
+
 function main() {
     const baseConfig = loadFakeConfig();
     ensureDir(OUTPUT_DIR);
-    // 清理旧文件，避免残留无效组合
-    // 根据 FLAGS 数组动态生成正则表达式
-    const flagPatterns = FLAGS.map(flag => `${getShortName(flag)}-\\d`);
-    const cleanupRegex = new RegExp(`^config_${flagPatterns.join('_')}\\.yaml$`);
-    
-    for (const f of fs.readdirSync(OUTPUT_DIR)) {
-        if (cleanupRegex.test(f)) {
-            try { fs.unlinkSync(path.join(OUTPUT_DIR, f)); } catch (_) {}
+
+    const presetNames = parsePresetOption(process.argv.slice(2));
+    if (presetNames) {
+        const presets = loadPresets(presetNames);
+        if (presetNames.length === 0) cleanOutput(/^preset_.+\.yaml$/);
+        console.log(`将生成 ${presets.length} 个预设 YAML 文件`);
+        for (const preset of presets) {
+            writeConfig(baseConfig, preset.args, `preset_${preset.name}.yaml`);
         }
+        console.log(`完成：输出 ${presets.length} 个 YAML 文件到 ${path.relative(process.cwd(), OUTPUT_DIR)}`);
+        return;
     }
-    const combos = generateArgCombos();
+
+    const params = loadGenerateParams();
+    cleanOutput(/^config_.+\.yaml$/);
+    const combos = generateArgCombos(params);
     const limit = process.env.LIMIT_COMBOS ? parseInt(process.env.LIMIT_COMBOS, 10) : combos.length;
     let count = 0;
     console.log(`将生成 ${Math.min(limit, combos.length)} 个 YAML 文件 (共 ${combos.length} 种组合)`);
     for (const args of combos) {
         if (count >= limit) break;
-    const config = runConvert(baseConfig, args);
-    // 输出前移除假 proxies 列表
-    delete config.proxies;
-        const yaml = toYAML(config);
-        const filePath = path.join(OUTPUT_DIR, fileNameFromArgs(args));
-        fs.writeFileSync(filePath, yaml + '\n', 'utf-8');
-        console.log(`[生成] ${path.relative(process.cwd(), filePath)}`);
+        writeConfig(baseConfig, args, fileNameFromArgs(params, args));
         count++;
     }
     console.log(`完成：输出 ${count} 个 YAML 文件到 ${path.relative(process.cwd(), OUTPUT_DIR)}`);
@@ -133,3 +161,5 @@ if (require.main === module) {
         process.exit(1);
     }
 }
+
+module.exports = { generateArgCombos, fileNameFromArgs };
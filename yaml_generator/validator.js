@@ -0,0 +1,178 @@
+/**
+ * 配置校验器
+ * 检查 convert.js main(config) 输出的配置在结构上是否自洽：
+ * - 引用：规则、代理组、rule-providers、nameserver-policy 与 dialer-proxy 引用的名称都存在
+ * - 重名：节点、代理组、proxy-providers 之间没有重复的名称
+ * - 空分组：代理组至少有一个成员（按 filter/exclude-filter 计算 include-all 的实际成员）
+ * - 循环：代理组成员与 dialer-proxy 之间不存在循环引用
+ *
+ * validateConfig 返回错误信息数组，为空表示校验通过。
+ */
+
+const { parseRule } = require('../convert');
+
+// 内核内置的出站
+const BUILTIN_PROXIES = ['DIRECT', 'REJECT', 'REJECT-DROP', 'PASS', 'COMPATIBLE'];
+
+// 将内核使用的 regexp2 写法转换为 JS 正则，无法转换时返回 null
+function compileFilter(pattern) {
+    if (!pattern) return null;
+    let source = pattern;
+    let flags = '';
+    if (source.startsWith('(?i)')) {
+        source = source.slice(4);
+        flags = 'i';
+    }
+    try {
+        return new RegExp(source, flags);
+    } catch (_) {
+        return null;
+    }
+}
+
+// 计算 include-all 带来的节点成员；使用 proxy-providers 时节点不在配置中，返回 null 表示无法判断
+function dynamicMembers(group, proxyNames, hasProviders) {
+    if (!group['include-all'] && !group['include-all-proxies']) return [];
+    if (hasProviders) return null;
+    const filter = compileFilter(group.filter);
+    const excludeFilter = compileFilter(group['exclude-filter']);
+    if ((group.filter && !filter) || (group['exclude-filter'] && !excludeFilter)) {
+        return null;
+    }
+    return proxyNames.filter(name =>
+        (!filter || filter.test(name)) && (!excludeFilter || !excludeFilter.test(name))
+    );
+}
+
+function findDuplicates(names) {
+    const seen = new Set();
+    const duplicates = new Set();
+    for (const name of names) {
+        if (seen.has(name)) duplicates.add(name);
+        seen.add(name);
+    }
+    return [...duplicates];
+}
+
+// 在 graph 中查找所有循环，每个循环只报告一次
+function findCycles(graph) {
+    const cycles = [];
+    const state = new Map(); // 1: 访问中，2: 已完成
+    const stack = [];
+
+    const visit = (node) => {
+        state.set(node, 1);
+        stack.push(node);
+        for (const next of graph.get(node) || []) {
+            if (state.get(next) === 1) {
+                cycles.push([...stack.slice(stack.indexOf(next)), next]);
+            } else if (!state.has(next)) {
+                visit(next);
+            }
+        }
+        stack.pop();
+        state.set(node, 2);
+    };
+
+    for (const node of graph.keys()) {
+        if (!state.has(node)) visit(node);
+    }
+    return cycles;
+}
+
+/**
+ * 校验 main(config) 输出的配置。
+ * @param {object} config - convert.js 生成的配置，需包含 proxies（未移除假节点前）
+ * @returns {string[]} - 错误信息，为空表示通过
+ */
+function validateConfig(config) {
+    const errors = [];
+    const proxies = config.proxies || [];
+    const groups = config['proxy-groups'] || [];
+    const ruleProviders = config['rule-providers'] || {};
+    const proxyProviders = config['proxy-providers'] || {};
+    const hasProviders = Object.keys(proxyProviders).length > 0;
+
+    const proxyNames = proxies.map(proxy => proxy.name);
+    const groupNames = groups.map(group => group.name);
+
+    for (const name of findDuplicates([...proxyNames, ...groupNames, ...BUILTIN_PROXIES])) {
+        errors.push(`名称重复：${name}`);
+    }
+
+    const outbounds = new Set([...proxyNames, ...groupNames, ...BUILTIN_PROXIES]);
+    const graph = new Map();
+
+    for (const group of groups) {
+        const members = group.proxies || [];
+        for (const member of members) {
+            if (!outbounds.has(member)) {
+                errors.push(`代理组 ${group.name} 引用了不存在的 ${member}`);
+            }
+        }
+        for (const provider of group.use || []) {
+            if (!proxyProviders[provider]) {
+                errors.push(`代理组 ${group.name} 引用了不存在的 proxy-provider ${provider}`);
+            }
+        }
+
+        const dynamic = dynamicMembers(group, proxyNames, hasProviders);
+        const canBeEmpty = dynamic === null || (group.use || []).length > 0;
+        if (!canBeEmpty && members.length === 0 && dynamic.length === 0) {
+            errors.push(`代理组 ${group.name} 没有任何成员`);
+        }
+        graph.set(group.name, [...members, ...(dynamic || [])].filter(name => outbounds.has(name)));
+    }
+
+    for (const proxy of proxies) {
+        const dialer = proxy['dialer-proxy'];
+        if (!dialer) continue;
+        if (!outbounds.has(dialer)) {
+            errors.push(`节点 ${proxy.name} 的 dialer-proxy ${dialer} 不存在`);
+            continue;
+        }
+        graph.set(proxy.name, [dialer]);
+    }
+
+    for (const cycle of findCycles(graph)) {
+        errors.push(`存在循环引用：${cycle.join(' -> ')}`);
+    }
+
+    for (const rule of config.rules || []) {
+        const { type, target, ruleSets } = parseRule(rule);
+        for (const name of ruleSets) {
+            if (!ruleProviders[name]) {
+                errors.push(`规则 ${rule} 引用了不存在的规则集 ${name}`);
+            }
+        }
+        if (!target || !outbounds.has(target)) {
+            errors.push(`规则 ${rule} 的目标策略 ${target || '（空）'} 不存在`);
+        }
+        if (type === 'MATCH' && rule !== config.rules[config.rules.length - 1]) {
+            errors.push(`MATCH 规则 ${rule} 不是最后一条规则`);
+        }
+    }
+
+    for (const [name, provider] of Object.entries(ruleProviders)) {
+        if (provider.proxy && !outbounds.has(provider.proxy)) {
+            errors.push(`规则集 ${name} 的下载代理 ${provider.proxy} 不存在`);
+        }
+    }
+
+    const dns = config.dns || {};
+    const dnsRuleSets = [
+        ...Object.keys(dns['nameserver-policy'] || {}),
+        ...(dns['fake-ip-filter'] || []),
+    ]
+        .filter(entry => entry.startsWith('rule-set:'))
+        .flatMap(entry => entry.slice('rule-set:'.length).split(','));
+    for (const name of dnsRuleSets) {
+        if (!ruleProviders[name.trim()]) {
+            errors.push(`DNS 配置引用了不存在的规则集 ${name}`);
+        }
+    }
+
+    return errors;
+}
+
+module.exports = { validateConfig, parseRule, compileFilter };